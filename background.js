@@ -1,4 +1,15 @@
 // TrackHub Chrome Extension - Background Script
+import { carrierRegistry } from './config/carrier-registry.js';
+import { carrierDetection } from './config/carrier-detection.js';
+import { carrierPrediction } from './config/carrier-prediction.js';
+import { TOKEN_TYPES } from './config/token-classifier.js';
+import { falsePositiveFilter, isSensitiveNumber } from './config/false-positive-filter.js';
+import { backendOutbox, OUTBOX_CONFIG } from './config/backend-outbox.js';
+import { statusRefresh, STATUS_REFRESH_CONFIG } from './config/status-refresh.js';
+import { statusNotifier, STATUS_NOTIFICATION_ACTIONS } from './config/status-notifications.js';
+import { SHIPMENT_STATUS } from './config/shipment-status.js';
+import { toolbarBadge } from './config/toolbar-badge.js';
+
 class TrackHubBackground {
     constructor() {
         this.contextMenuListenerAdded = false;
@@ -20,9 +31,27 @@ class TrackHubBackground {
         // Setup context menu for quick add feature
         this.setupContextMenu();
         
+        // Address bar: "th <number>" adds, "th ?keyword" searches
+        this.setupOmnibox();
+        
         // Setup installation handler
         this.setupInstallationHandler();
         
+        // Setup notification button handlers
+        this.setupNotificationHandlers();
+        
+        // Pick up carriers registered at runtime by other contexts
+        carrierRegistry.loadCustomCarriers();
+        
+        // Replay backend writes left over from earlier sessions
+        this.setupOutbox();
+        
+        // Poll shipment statuses in the background
+        this.setupStatusRefresh();
+        
+        // Arrivals today on the toolbar icon
+        this.setupBadge();
+        
         this.initialized = true;
         console.log('✅ Background script initialization completed');
     }
@@ -47,21 +76,56 @@ class TrackHubBackground {
                     sendResponse({ success: true });
                     break;
                     
-                case 'getTrackingItems':
+                case 'getTrackingItems': {
                     const items = await this.getTrackingItems();
                     sendResponse({ success: true, data: items });
                     break;
+                }
                     
                 case 'quickAddTracking':
                     await this.handleQuickAddTracking(request.data);
                     sendResponse({ success: true });
                     break;
                     
+                case 'quickAddTrackingBatch': {
+                    const batchResult = await this.handleQuickAddTrackingBatch(request.data || []);
+                    sendResponse({ success: true, data: batchResult });
+                    break;
+                }
+                    
                 case 'deleteTracking':
                     await this.handleDeleteTracking(request.data);
                     sendResponse({ success: true });
                     break;
                     
+                case 'queueBackendWrite':
+                    sendResponse({ success: true, data: await this.queueBackendWrite(request.data.type, request.data.item) });
+                    break;
+                    
+                case 'retryOutbox':
+                    await backendOutbox.retryFailed();
+                    await backendOutbox.flush();
+                    sendResponse({ success: true, data: await backendOutbox.getCounts() });
+                    break;
+                    
+                case 'refreshStatuses': {
+                    const changes = await this.refreshStatuses();
+                    sendResponse({ success: true, data: { changed: changes.length } });
+                    break;
+                }
+                    
+                case 'flushOutbox':
+                    await backendOutbox.flush();
+                    sendResponse({ success: true, data: await backendOutbox.getCounts() });
+                    break;
+                    
+                case 'predictCarrier': {
+                    // Same response shape as POST /api/carrier/predict
+                    const prediction = await carrierPrediction.predict(request.data, sender.tab);
+                    sendResponse({ success: true, data: prediction });
+                    break;
+                }
+                    
                 case 'ensureContextMenu':
                     this.setupContextMenu();
                     sendResponse({ success: true });
@@ -77,12 +141,17 @@ class TrackHubBackground {
     }
 
     async handleAddTracking(trackingData) {
+        this.assertNotSensitive(trackingData);
         try {
-            // Store in local storage
+            // Store in local storage (the popup has usually saved it already)
             const result = await chrome.storage.local.get(['trackingItems']);
             const trackingItems = result.trackingItems || [];
-            trackingItems.push(trackingData);
-            await chrome.storage.local.set({ trackingItems });
+            if (!trackingItems.some(item => item.id === trackingData.id)) {
+                trackingItems.push(trackingData);
+                await chrome.storage.local.set({ trackingItems });
+            }
+
+            await this.queueBackendWrite('create', trackingData);
 
             // Send to external webapp if configured
             await this.sendToExternalWebapp('addTracking', trackingData);
@@ -106,7 +175,9 @@ class TrackHubBackground {
         }
     }
 
-    async handleQuickAddTracking(trackingData) {
+    // notify: false leaves the per-item sync notifications to the caller (bulk add sends one summary)
+    async handleQuickAddTracking(trackingData, { notify = true } = {}) {
+        this.assertNotSensitive(trackingData);
         try {
             console.log('Quick add tracking:', trackingData);
             
@@ -115,6 +186,9 @@ class TrackHubBackground {
                 trackingData.brand = this.detectBrand(trackingData.trackingNumber);
             }
 
+            // Order number picked earlier on the same site
+            await this.attachPendingOrderReference(trackingData);
+
             // Store in local storage first
             const result = await chrome.storage.local.get(['trackingItems']);
             const trackingItems = result.trackingItems || [];
@@ -123,85 +197,34 @@ class TrackHubBackground {
 
             console.log('Tracking item added to storage:', trackingData);
             
-            // Try to send to backend API first, then Supabase as backup
+            // Queued first, so the write survives the worker being suspended or the backend being down
             try {
-                const authToken = await this.getAuthToken();
-                console.log('🔑 Background: Auth token retrieved:', authToken ? 'Present' : 'Missing');
-                console.log('📦 Background: Tracking data to send:', trackingData);
-                
-                if (authToken) {
-                    // Try backend API first
-                    console.log('🚀 Background: Attempting backend API call...');
-                    console.log('🌐 Background: Backend URL: http://localhost:3000/api/tracking/add');
-                    
-                    // Quick connectivity test first
-                    try {
-                        console.log('🔍 Background: Testing backend connectivity...');
-                        const healthResponse = await fetch('http://localhost:3000/api/health', {
-                            method: 'GET',
-                            headers: { 'Content-Type': 'application/json' }
-                        });
-                        console.log('🔗 Background: Backend health check:', healthResponse.status, healthResponse.statusText);
-                    } catch (healthError) {
-                        console.log('❌ Background: Backend health check failed:', healthError.message);
-                        console.log('💡 Background: Is your backend server running on http://localhost:3000?');
-                    }
-                    
-                    try {
-                        const backendApiResult = await this.sendToBackendAPI(trackingData, authToken);
-                        console.log('✅ Background: Backend API completed successfully:', backendApiResult);
-                        await this.showNotification('Tracking Added', `Successfully added ${trackingData.brand.toUpperCase()} tracking to backend`);
-                    } catch (backendError) {
-                        console.log('❌ Background: Backend API failed:', backendError.message);
-                        console.log('🔍 Background: Full error details:', backendError);
-                        
-                        // Handle specific error types with user-friendly messages
-                        if (backendError.message.includes('TRACKING_EXISTS')) {
-                            await this.showNotification('Already Tracked', 'This tracking number is already in your account');
-                        } else if (backendError.message.includes('AUTH_FAILED')) {
-                            await this.showNotification('Login Required', 'Please log in again to sync with backend');
-                        } else if (backendError.message.includes('INVALID_DATA')) {
-                            await this.showNotification('Invalid Data', 'Please check your tracking number format');
-                        } else if (backendError.message.includes('SERVER_ERROR')) {
-                            await this.showNotification('Server Error', 'Backend server is having issues, but tracking saved locally');
-                        } else if (backendError.message.includes('Failed to fetch')) {
-                            await this.showNotification('Connection Failed', 'Cannot connect to backend server, but tracking saved locally');
-                        } else {
-                            await this.showNotification('Backend Error', 'Failed to sync with backend, but tracking saved locally');
-                        }
+                const outcome = await this.queueBackendWrite('create', trackingData);
+                if (notify) await this.notifyBackendOutcome(trackingData, outcome);
+            } catch (error) {
+                console.log('🔴 Background: Error queueing backend write:', error);
+            }
+
+            // Also send to Supabase for sync
+            chrome.runtime.sendMessage({
+                action: 'quickAddToSupabase',
+                data: {
+                    trackingNumber: trackingData.trackingNumber,
+                    carrierId: trackingData.brand,
+                    description: trackingData.description || '',
+                    status: trackingData.status || 'active',
+                    metadata: {
+                        description: trackingData.description || '',
+                        addedVia: 'context_menu',
+                        source: 'Unknown'
                     }
-                } else {
-                    console.log('❌ Background: No auth token available for backend API');
                 }
-                    
-                    // Also send to Supabase for sync
-                    console.log('🚀 Background: Sending to popup for Supabase...');
-                    chrome.runtime.sendMessage({
-                        action: 'quickAddToSupabase',
-                        data: {
-                            trackingNumber: trackingData.trackingNumber,
-                            carrierId: trackingData.brand,
-                            description: trackingData.description || '',
-                            status: trackingData.status || 'active',
-                            metadata: {
-                                description: trackingData.description || '',
-                                addedVia: 'context_menu',
-                                source: 'Unknown'
-                            }
-                        }
-                    }, (response) => {
-                        if (chrome.runtime.lastError) {
-                            console.log('🔴 Background: Popup not open, storing for later:', chrome.runtime.lastError.message);
-                            // Store the tracking data for when popup opens
-                            this.storePendingTrackingData(trackingData);
-                        } else {
-                            console.log('🟢 Background: Quick add sent to popup successfully');
-                        }
-                    });
-                
-                console.log('🟡 Background: Processed quick add tracking');
-            } catch (error) {
-                console.log('🔴 Background: Error processing quick add:', error);}
+            }, () => {
+                if (chrome.runtime.lastError) {
+                    console.log('🔴 Background: Popup not open, skipping Supabase sync:', chrome.runtime.lastError.message);
+                }
+            });
+
             // Notify popup to refresh if it's open
             try {
                 chrome.runtime.sendMessage({
@@ -222,6 +245,44 @@ class TrackHubBackground {
         }
     }
 
+    // Whatever the sender checked, card and IBAN numbers never reach storage (or the logs)
+    assertNotSensitive(trackingData) {
+        if (trackingData && isSensitiveNumber(trackingData.trackingNumber)) {
+            throw new Error('Refusing to store a payment card or bank account number');
+        }
+    }
+
+    // "Add all detected" from the page panel: one message, one notification, already tracked numbers skipped
+    async handleQuickAddTrackingBatch(items) {
+        const result = await chrome.storage.local.get(['trackingItems']);
+        const normalize = number => (number || '').replace(/\s+/g, '').toUpperCase();
+        const tracked = new Set((result.trackingItems || []).map(item => normalize(item.trackingNumber)));
+
+        let added = 0;
+        let skipped = 0;
+        let failed = 0;
+        for (const trackingData of items) {
+            const key = normalize(trackingData.trackingNumber);
+            if (!key || tracked.has(key)) {
+                skipped++;
+                continue;
+            }
+            tracked.add(key);
+
+            try {
+                await this.handleQuickAddTracking(trackingData, { notify: false });
+                added++;
+            } catch (error) {
+                console.error('Error adding tracking from batch:', error.message);
+                failed++;
+            }
+        }
+
+        const details = [skipped && `${skipped} already tracked`, failed && `${failed} failed`].filter(Boolean).join(', ');
+        await this.showNotification('Tracking Added', `Added ${added} tracking number${added === 1 ? '' : 's'}${details ? ` (${details})` : ''}`);
+        return { added, skipped, failed };
+    }
+
     async getTrackingItems() {
         try {
             const result = await chrome.storage.local.get(['trackingItems']);
@@ -261,106 +322,171 @@ class TrackHubBackground {
         }
     }
 
-    async storePendingBackendRequest(trackingData, requestData) {
+    // Queues the write and tries it right away; resolves to the outcome of that first try
+    async queueBackendWrite(type, item) {
+        const operation = await backendOutbox.enqueue(type, item);
+        if (!operation) return null;
+        const outcomes = await backendOutbox.flush();
+        return outcomes[operation.id] || { status: 'pending', error: null };
+    }
+
+    async notifyBackendOutcome(trackingData, outcome) {
+        // Nothing was sent: the outbox found the write unnecessary
+        if (!outcome) return;
+
+        const brand = trackingData.brand.toUpperCase();
+        if (outcome.status === 'sent') {
+            await this.showNotification('Tracking Added', `Successfully added ${brand} tracking to backend`);
+        } else if (outcome.status === 'exists') {
+            await this.showNotification('Already Tracked', 'This tracking number is already in your account');
+        } else if (outcome.status === 'pending') {
+            await this.showNotification('Saved Locally', `${brand} tracking will sync when the backend is reachable`);
+        } else {
+            await this.showNotification('Backend Error', `Backend rejected ${brand} tracking (${outcome.error}), but it is saved locally`);
+        }
+    }
+
+    setupOutbox() {
+        backendOutbox.setAuthTokenProvider(() => this.getAuthToken());
+
+        chrome.alarms.onAlarm.addListener((alarm) => {
+            if (alarm.name === OUTBOX_CONFIG.alarmName) {
+                backendOutbox.flush();
+            }
+        });
+
+        // Back online, or just logged in: no reason to wait for the next alarm
+        self.addEventListener('online', () => backendOutbox.flush());
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && ((changes.auth0_access_token || {}).newValue || (changes.trackhub_access_token || {}).newValue)) {
+                backendOutbox.flush();
+            }
+        });
+
+        this.migratePendingRequests().then(() => backendOutbox.flush());
+    }
+
+    setupStatusRefresh() {
+        statusRefresh.setAuthTokenProvider(() => this.getAuthToken());
+        statusRefresh.schedule();
+
+        chrome.alarms.onAlarm.addListener((alarm) => {
+            if (alarm.name === STATUS_REFRESH_CONFIG.alarmName) {
+                // The badge also needs it when nothing changed: "today" moves at midnight
+                this.refreshStatuses().then(() => this.updateBadge());
+            }
+        });
+    }
+
+    // Every writer (popup, content script, sync, realtime) goes through storage, so this catches them all
+    setupBadge() {
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && changes.trackingItems) {
+                toolbarBadge.render(changes.trackingItems.newValue || []);
+            }
+        });
+        this.updateBadge();
+    }
+
+    async updateBadge() {
         try {
-            const result = await chrome.storage.local.get(['pendingBackendRequests']);
-            const pendingRequests = result.pendingBackendRequests || [];
-            pendingRequests.push({
-                trackingItem: trackingData,
-                requestData: requestData,
-                timestamp: Date.now()
-            });
-            await chrome.storage.local.set({ pendingBackendRequests: pendingRequests });
-            console.log('🟡 Background: Stored pending backend request for later');
+            await toolbarBadge.render(await this.getTrackingItems());
         } catch (error) {
-            console.error('Error storing pending backend request:', error);
+            console.error('Error updating badge:', error);
         }
     }
 
-    async storePendingTrackingData(trackingData) {
+    // Changed items go to the backend through the outbox like any other edit
+    async refreshStatuses() {
         try {
-            const result = await chrome.storage.local.get(['pendingTrackingData']);
-            const pendingData = result.pendingTrackingData || [];
-            pendingData.push({
-                ...trackingData,
-                timestamp: Date.now()
-            });
-            await chrome.storage.local.set({ pendingTrackingData: pendingData });
-            console.log('🟡 Background: Stored pending tracking data for later');
+            const changes = await statusRefresh.refresh();
+            for (const { item } of changes) {
+                await backendOutbox.enqueue('update', item);
+            }
+            if (changes.length > 0) {
+                await backendOutbox.flush();
+                await this.notifyStatusChanges(changes);
+            }
+            return changes;
         } catch (error) {
-            console.error('Error storing pending tracking data:', error);
+            console.error('Error refreshing statuses:', error);
+            return [];
         }
     }
 
+    // One notification per changed item, for its most important enabled event
+    async notifyStatusChanges(changes) {
+        const { enableNotifications } = await chrome.storage.local.get(['enableNotifications']);
+        if (enableNotifications === false) return;
+
+        const settings = await statusNotifier.getSettings();
+        for (const { item, previous } of changes) {
+            const event = statusNotifier.getEvents(previous, item).find(candidate => statusNotifier.isEnabled(candidate, item, settings));
+            if (!event) continue;
+
+            const notification = statusNotifier.buildNotification(event, item, carrierRegistry.getDisplayName((item.brand || '').toLowerCase()));
+            const notificationId = `status-${item.id}-${Date.now()}`;
+            await statusNotifier.rememberTarget(notificationId, { itemId: item.id, event, actions: notification.actions });
+            await chrome.notifications.create(notificationId, {
+                type: 'basic',
+                iconUrl: 'icons/icon48.png',
+                title: notification.title,
+                message: notification.message,
+                buttons: notification.actions.map(action => ({ title: STATUS_NOTIFICATION_ACTIONS[action] }))
+            });
+        }
+    }
 
-    async sendToBackendAPI(trackingData, authToken) {
+    // buttonIndex null is a click on the notification itself, which opens the tracking page
+    async handleStatusNotificationAction(notificationId, buttonIndex) {
         try {
-            console.log('🌐 Background: Sending to backend API...');
-            console.log('🔑 Background: Auth token provided:', authToken ? `Present (length: ${authToken.length})` : 'NULL');
-            
-            if (!authToken) {
-                throw new Error('No auth token provided to background script');
+            const target = await statusNotifier.takeTarget(notificationId);
+            if (!target) return;
+            chrome.notifications.clear(notificationId);
+
+            const action = buttonIndex === null ? 'open' : target.actions[buttonIndex];
+            const items = await this.getTrackingItems();
+            const item = items.find(candidate => candidate.id === target.itemId);
+            if (!item) return;
+
+            if (action === 'open') {
+                const trackingUrl = carrierRegistry.getTrackingUrl(item.brand, item.trackingNumber);
+                if (trackingUrl) chrome.tabs.create({ url: trackingUrl });
+            } else if (action === 'markReceived') {
+                const updated = await this.updateTrackingItem(item.id, { status: SHIPMENT_STATUS.delivered, receivedAt: new Date().toISOString() });
+                if (updated) await this.queueBackendWrite('update', updated);
+            } else if (action === 'snooze') {
+                await this.updateTrackingItem(item.id, { notificationsSnoozedUntil: statusNotifier.getSnoozeUntil() });
             }
-            
-            // Prepare backend request data
-            const backendRequestData = {
-                method: 'POST',
-                url: 'http://localhost:3000/api/tracking/add',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${authToken}`,
-                    'X-Extension-Version': '1.0.0'
-                },
-                body: {
-                    trackingNumber: trackingData.trackingNumber,
-                    ...(trackingData.brand && { brand: trackingData.brand }),
-                    ...(trackingData.description && { description: trackingData.description }),
-                    ...(trackingData.dateAdded && { dateAdded: trackingData.dateAdded }),
-                    ...(trackingData.status && { status: trackingData.status })
-                }
-            };
-            
-            console.log('🔵 Background: Backend API request prepared:', {
-                url: backendRequestData.url,
-                method: backendRequestData.method,
-                hasAuth: !!backendRequestData.headers.Authorization,
-                authHeader: backendRequestData.headers.Authorization.substring(0, 20) + '...'
-            });
+        } catch (error) {
+            console.error('Error handling status notification action:', error);
+        }
+    }
 
-            // Send to backend API
-            const response = await fetch(backendRequestData.url, {
-                method: backendRequestData.method,
-                headers: backendRequestData.headers,
-                body: JSON.stringify(backendRequestData.body)
-            });
+    async updateTrackingItem(itemId, changes) {
+        const items = await this.getTrackingItems();
+        const index = items.findIndex(item => item.id === itemId);
+        if (index === -1) return null;
+        items[index] = { ...items[index], ...changes };
+        await chrome.storage.local.set({ trackingItems: items });
+        return items[index];
+    }
 
-            console.log('📡 Background: Backend API response status:', response.status, response.statusText);
-            
-            if (response.ok) {
-                const result = await response.json();
-                console.log('✅ Background: Backend API success:', result);
-                return result;
-            } else {
-                const errorText = await response.text();
-                console.log('❌ Background: Backend API error:', response.status, errorText);
-                
-                // Handle specific error codes with better messages
-                if (response.status === 409) {
-                    throw new Error('TRACKING_EXISTS: This tracking number already exists in your account');
-                } else if (response.status === 401) {
-                    throw new Error('AUTH_FAILED: Please log in again to continue');
-                } else if (response.status === 400) {
-                    throw new Error('INVALID_DATA: Please check your tracking number and try again');
-                } else if (response.status === 500) {
-                    throw new Error('SERVER_ERROR: Backend server is experiencing issues');
-                } else {
-                    throw new Error(`Backend API failed: ${response.status} ${response.statusText}`);
-                }
+    // Older versions parked failed adds here and only the open popup ever retried them
+    async migratePendingRequests() {
+        try {
+            const result = await chrome.storage.local.get(['pendingBackendRequests', 'pendingTrackingData']);
+            const leftovers = [
+                ...(result.pendingBackendRequests || []).map(request => request.trackingItem),
+                ...(result.pendingTrackingData || []).map(({ timestamp, ...trackingData }) => trackingData)
+            ].filter(item => item && item.trackingNumber);
+
+            for (const item of leftovers) {
+                await backendOutbox.enqueue('create', item);
             }
-            
+            await chrome.storage.local.remove(['pendingBackendRequests', 'pendingTrackingData']);
         } catch (error) {
-            console.error('❌ Background: Error sending to backend API:', error);
-            throw error;
+            console.error('Error migrating pending backend requests:', error);
         }
     }
 
@@ -376,6 +502,8 @@ class TrackHubBackground {
 
             console.log('Tracking item removed from storage');
             
+            await this.queueBackendWrite('delete', trackingData);
+            
             // Send to external webapp (optional)
             try {
                 await this.sendToExternalWebapp('deleteTracking', trackingData);
@@ -435,6 +563,188 @@ class TrackHubBackground {
         }
     }
 
+    setupOmnibox() {
+        chrome.omnibox.setDefaultSuggestion({
+            description: 'Type a tracking number to add it, or ?keyword to search your shipments'
+        });
+
+        chrome.omnibox.onInputChanged.addListener((text, suggest) => {
+            this.getOmniboxSuggestions(text.trim()).then(suggest);
+        });
+
+        chrome.omnibox.onInputEntered.addListener((text, disposition) => {
+            this.handleOmniboxInput(text.trim(), disposition);
+        });
+    }
+
+    // The default suggestion carries the guessed carrier; the list offers the runners-up as "<number> <carrier>"
+    async getOmniboxSuggestions(text) {
+        try {
+            if (text.startsWith('?')) {
+                const keyword = text.slice(1).trim();
+                chrome.omnibox.setDefaultSuggestion({ description: `Search shipments for <match>${this.escapeOmniboxText(keyword)}</match>` });
+                const items = this.searchTrackingItems(await this.getTrackingItems(), keyword);
+                return items.slice(0, 5).map(item => ({
+                    content: `?${item.trackingNumber}`,
+                    description: `Open <match>${this.escapeOmniboxText(item.description || item.trackingNumber)}</match> <dim>${this.escapeOmniboxText(`${carrierRegistry.getDisplayName((item.brand || '').toLowerCase())} ${item.trackingNumber}`)}</dim>`
+                }));
+            }
+
+            const { trackingNumber, carrierId } = this.parseOmniboxAdd(text);
+            if (!trackingNumber || !this.isOmniboxTrackingNumber(trackingNumber)) {
+                chrome.omnibox.setDefaultSuggestion({ description: 'Type a tracking number to add it, or ?keyword to search your shipments' });
+                return [];
+            }
+
+            const detection = carrierDetection.rankCarriersFromPattern(trackingNumber);
+            const guess = carrierId || detection.carrier;
+            chrome.omnibox.setDefaultSuggestion({
+                description: `Add <match>${this.escapeOmniboxText(trackingNumber)}</match> as <dim>${this.escapeOmniboxText(carrierRegistry.getDisplayName(guess))}</dim>`
+            });
+            return detection.alternatives
+                .map(alternative => alternative.carrier)
+                .filter(carrier => carrier !== guess && carrier !== 'other')
+                .slice(0, 4)
+                .map(carrier => ({
+                    content: `${trackingNumber} ${carrier}`,
+                    description: `Add <match>${this.escapeOmniboxText(trackingNumber)}</match> as <dim>${this.escapeOmniboxText(carrierRegistry.getDisplayName(carrier))}</dim>`
+                }));
+        } catch (error) {
+            console.error('Error building omnibox suggestions:', error);
+            return [];
+        }
+    }
+
+    async handleOmniboxInput(text, disposition) {
+        try {
+            if (text.startsWith('?')) {
+                const keyword = text.slice(1).trim();
+                const [item] = this.searchTrackingItems(await this.getTrackingItems(), keyword);
+                if (!item) {
+                    await this.showNotification('No Match', `No shipment matches "${keyword}"`);
+                    return;
+                }
+
+                const trackingUrl = carrierRegistry.getTrackingUrl(item.brand, item.trackingNumber);
+                if (!trackingUrl) {
+                    await this.showNotification('No Tracking Page', `${carrierRegistry.getDisplayName((item.brand || '').toLowerCase())} has no tracking page to open`);
+                    return;
+                }
+                await this.openUrl(trackingUrl, disposition);
+                return;
+            }
+
+            await this.handleOmniboxAdd(text);
+        } catch (error) {
+            console.error('Error handling omnibox input:', error);
+            await this.showNotification('Error', 'Failed to add tracking. Please try again.');
+        }
+    }
+
+    // Same checks as the context menu, minus the page: no tab, so carriers come from the number alone
+    async handleOmniboxAdd(text) {
+        const isOAuthAuthenticated = await this.checkOAuthAuth();
+        const isLocalAuthenticated = await this.checkLocalAuth();
+        if (!isOAuthAuthenticated && !isLocalAuthenticated) {
+            await this.showNotification('Login Required', 'Please login to TrackHub first');
+            return;
+        }
+
+        const { raw, trackingNumber, carrierId } = this.parseOmniboxAdd(text);
+        if (!trackingNumber) return;
+
+        const classification = this.classifySelection(raw, trackingNumber);
+        if (await this.handleNonShipmentToken(classification, null)) {
+            return;
+        }
+        if (!this.isOmniboxTrackingNumber(trackingNumber)) {
+            await this.showNotification('Not a Tracking Number', `${raw} does not look like a tracking number, so it was not added.`);
+            return;
+        }
+
+        const items = await this.getTrackingItems();
+        if (items.some(item => (item.trackingNumber || '').replace(/\s+/g, '').toUpperCase() === trackingNumber.toUpperCase())) {
+            await this.showNotification('Already Tracked', `${trackingNumber} is already in your list`);
+            return;
+        }
+
+        const detection = carrierDetection.rankCarriersFromPattern(trackingNumber);
+        const trackingData = {
+            id: Date.now().toString(),
+            trackingNumber,
+            brand: carrierId || detection.carrier,
+            description: 'Added from the address bar',
+            dateAdded: new Date().toISOString(),
+            status: 'pending'
+        };
+
+        // A carrier picked from the suggestions settles it; otherwise ask on a close call, like the context menu
+        if (!carrierId && detection.ambiguous) {
+            await this.askCarrierChoice(trackingData, detection.alternatives);
+            return;
+        }
+
+        await this.handleQuickAddTracking(trackingData);
+    }
+
+    // Typed words, SKUs and card numbers are not worth a list entry; there is no page label to vouch for them
+    isOmniboxTrackingNumber(trackingNumber) {
+        if (!carrierDetection.isValidTrackingNumber(trackingNumber)) return false;
+        return falsePositiveFilter.evaluate(trackingNumber, { matches: carrierRegistry.matchPatterns(trackingNumber) }).accepted;
+    }
+
+    // "1Z 999 AA1 01 2345 6784 fedex" -> { raw: "1Z 999 AA1 01 2345 6784", trackingNumber: "1Z999AA10123456784", carrierId: "fedex" }
+    parseOmniboxAdd(text) {
+        const words = text.split(/\s+/).filter(Boolean);
+        const last = (words[words.length - 1] || '').toLowerCase();
+        const carrierId = words.length > 1 && carrierRegistry.get(last) ? last : null;
+        const raw = (carrierId ? words.slice(0, -1) : words).join(' ');
+        return { raw, trackingNumber: this.cleanTrackingNumber(raw), carrierId };
+    }
+
+    // Exact tracking number first, then newest first; an empty keyword lists everything
+    searchTrackingItems(items, keyword) {
+        const needle = keyword.toLowerCase();
+        const compact = needle.replace(/[\s-]+/g, '');
+        const matches = items.filter(item => {
+            const orderReference = item.orderReference || {};
+            return [
+                item.description,
+                item.trackingNumber,
+                item.merchantName,
+                orderReference.merchantName,
+                orderReference.merchant,
+                orderReference.orderNumber,
+                item.sourceDomain
+            ].some(value => value && String(value).toLowerCase().includes(needle))
+                || (compact && String(item.trackingNumber || '').toLowerCase().includes(compact));
+        }).reverse();
+
+        const exact = matches.findIndex(item => String(item.trackingNumber || '').toLowerCase() === compact);
+        if (exact > 0) matches.unshift(...matches.splice(exact, 1));
+        return matches;
+    }
+
+    openUrl(url, disposition) {
+        if (disposition === 'currentTab') {
+            return chrome.tabs.update({ url });
+        }
+        return chrome.tabs.create({ url, active: disposition !== 'newBackgroundTab' });
+    }
+
+    // Suggestion descriptions are XML
+    escapeOmniboxText(text) {
+        return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[char]);
+    }
+
+    getDomain(url) {
+        try {
+            return new URL(url).hostname;
+        } catch (error) {
+            return null;
+        }
+    }
+
     // Clean and filter tracking number input
     cleanTrackingNumber(input) {
         if (!input) return '';
@@ -467,21 +777,34 @@ class TrackHubBackground {
                 return;
             }
 
+            // Order numbers and RMAs get linked to a shipment instead of becoming one
+            const classification = this.classifySelection(selectedText, cleanedText);
+            if (await this.handleNonShipmentToken(classification, this.getDomain(tab.url))) {
+                return;
+            }
+
             // Detect if selected text looks like a tracking number
             if (this.isTrackingNumber(cleanedText)) {
-                // Simple brand detection (no API prediction)
-                const detectedBrand = this.detectBrand(cleanedText);
-                console.log('Detected brand:', detectedBrand);
+                // Rank carriers from the number, the page URL and the page DOM
+                const detection = await carrierDetection.detectCarrierFromContext(cleanedText, tab);
+                console.log('Detected carrier:', detection);
 
                 const trackingData = {
                     id: Date.now().toString(),
                     trackingNumber: cleanedText,
-                    brand: detectedBrand,
+                    brand: detection.carrier,
                     description: `Quick add from ${tab.title}`,
+                    sourceDomain: this.getDomain(tab.url),
                     dateAdded: new Date().toISOString(),
                     status: 'pending'
                 };
 
+                // Close call between carriers - ask which one before saving
+                if (detection.ambiguous) {
+                    await this.askCarrierChoice(trackingData, detection.alternatives);
+                    return;
+                }
+
                 await this.handleQuickAddTracking(trackingData);
                 await this.showNotification('Tracking Added', `Added ${trackingData.brand.toUpperCase()} tracking`);
             } else {
@@ -494,6 +817,138 @@ class TrackHubBackground {
         }
     }
 
+    // Dashes tell order formats apart (eBay 12-34567-89012), so classify the raw selection first
+    classifySelection(rawText, cleanedText) {
+        const raw = carrierDetection.classifyToken(rawText);
+        if (raw.type === TOKEN_TYPES.order || raw.type === TOKEN_TYPES.returnAuthorization || raw.type === TOKEN_TYPES.sensitive) {
+            return raw;
+        }
+        return carrierDetection.classifyToken(cleanedText);
+    }
+
+    // Returns true when the token was handled as something other than a shipment
+    async handleNonShipmentToken(classification, domain) {
+        if (classification.type === TOKEN_TYPES.order) {
+            await this.linkOrderReference(carrierDetection.classifier.toOrderReference(classification), domain);
+            return true;
+        }
+
+        if (classification.type === TOKEN_TYPES.sensitive) {
+            await this.showNotification('Not Saved', 'That looks like a payment card or bank account number, so TrackHub ignored it.');
+            return true;
+        }
+
+        if (classification.type === TOKEN_TYPES.returnAuthorization) {
+            await this.showNotification('Not a Tracking Number', `${classification.token} looks like a return authorization. Add the return's tracking number instead.`);
+            return true;
+        }
+
+        return false;
+    }
+
+    // Attach to the newest item from the same site without an order, otherwise hold it for the next add from that site
+    async linkOrderReference(orderReference, domain) {
+        const result = await chrome.storage.local.get(['trackingItems', 'pendingOrderReferences']);
+        const trackingItems = result.trackingItems || [];
+        const target = [...trackingItems].reverse().find(item => domain && item.sourceDomain === domain && !item.orderReference);
+
+        if (target) {
+            target.orderReference = orderReference;
+            await chrome.storage.local.set({ trackingItems });
+            await this.showNotification('Order Linked', `${orderReference.merchantName} order ${orderReference.orderNumber} linked to ${target.trackingNumber}`);
+            return;
+        }
+
+        const pendingOrderReferences = result.pendingOrderReferences || {};
+        pendingOrderReferences[domain || '*'] = orderReference;
+        await chrome.storage.local.set({ pendingOrderReferences });
+        await this.showNotification('Order Number Saved', `${orderReference.merchantName} order ${orderReference.orderNumber} will be linked to the next tracking number you add from this site.`);
+    }
+
+    async attachPendingOrderReference(trackingData) {
+        const key = trackingData.sourceDomain;
+        if (!key || trackingData.orderReference) return;
+
+        const result = await chrome.storage.local.get(['pendingOrderReferences']);
+        const pendingOrderReferences = result.pendingOrderReferences || {};
+        if (!pendingOrderReferences[key]) return;
+
+        trackingData.orderReference = pendingOrderReferences[key];
+        delete pendingOrderReferences[key];
+        await chrome.storage.local.set({ pendingOrderReferences });
+    }
+
+    // One notification button per top candidate; the answer arrives in resolveCarrierChoice
+    async askCarrierChoice(trackingData, alternatives) {
+        const notificationId = `carrier-choice-${trackingData.id}`;
+        const choices = alternatives.slice(0, 2).map(alternative => alternative.carrier);
+
+        // Service worker may be suspended before the user answers, so keep the pending add in storage
+        const result = await chrome.storage.local.get(['pendingCarrierChoices']);
+        const pendingChoices = result.pendingCarrierChoices || {};
+        pendingChoices[notificationId] = { trackingData, choices };
+        await chrome.storage.local.set({ pendingCarrierChoices: pendingChoices });
+
+        await chrome.notifications.create(notificationId, {
+            type: 'basic',
+            iconUrl: 'icons/icon48.png',
+            title: 'Which carrier?',
+            message: `${trackingData.trackingNumber} matches more than one carrier. Pick one to add it.`,
+            buttons: choices.map(carrier => ({ title: carrierRegistry.getDisplayName(carrier) })),
+            requireInteraction: true
+        });
+    }
+
+    async resolveCarrierChoice(notificationId, buttonIndex) {
+        try {
+            const result = await chrome.storage.local.get(['pendingCarrierChoices']);
+            const pendingChoices = result.pendingCarrierChoices || {};
+            const pending = pendingChoices[notificationId];
+            if (!pending) return;
+
+            delete pendingChoices[notificationId];
+            await chrome.storage.local.set({ pendingCarrierChoices: pendingChoices });
+            chrome.notifications.clear(notificationId);
+
+            // Dismissed without picking - nothing is saved
+            if (buttonIndex === null || !pending.choices[buttonIndex]) {
+                console.log('Carrier choice dismissed, skipping quick add:', pending.trackingData.trackingNumber);
+                return;
+            }
+
+            const trackingData = { ...pending.trackingData, brand: pending.choices[buttonIndex] };
+            await this.handleQuickAddTracking(trackingData);
+            await this.showNotification('Tracking Added', `Added ${trackingData.brand.toUpperCase()} tracking`);
+        } catch (error) {
+            console.error('Error resolving carrier choice:', error);
+        }
+    }
+
+    setupNotificationHandlers() {
+        chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+            if (notificationId.startsWith('carrier-choice-')) {
+                this.resolveCarrierChoice(notificationId, buttonIndex);
+            } else if (notificationId.startsWith('status-')) {
+                this.handleStatusNotificationAction(notificationId, buttonIndex);
+            }
+        });
+
+        chrome.notifications.onClicked.addListener((notificationId) => {
+            if (notificationId.startsWith('status-')) {
+                this.handleStatusNotificationAction(notificationId, null);
+            }
+        });
+
+        chrome.notifications.onClosed.addListener((notificationId, byUser) => {
+            if (notificationId.startsWith('carrier-choice-')) {
+                this.resolveCarrierChoice(notificationId, null);
+            } else if (notificationId.startsWith('status-') && byUser) {
+                // Timed-out ones may still be clicked from the notification center
+                statusNotifier.takeTarget(notificationId);
+            }
+        });
+    }
+
     async checkOAuthAuth() {
         try {
             // Check Auth0 token first (new system)
@@ -542,27 +997,8 @@ class TrackHubBackground {
     }
 
     detectBrand(trackingNumber) {
-        const number = trackingNumber.trim();
-        
-        // UPS patterns
-        if (/^1Z[0-9A-Z]{16}$/.test(number)) return 'ups';
-        if (/^[0-9]{10,}$/.test(number) && number.length >= 10) return 'ups';
-        
-        // FedEx patterns
-        if (/^[0-9]{12}$/.test(number)) return 'fedex';
-        if (/^[0-9]{14}$/.test(number)) return 'fedex';
-        
-        // USPS patterns
-        if (/^[A-Z]{2}[0-9]{9}[A-Z]{2}$/.test(number)) return 'usps';
-        if (/^[0-9]{4}\s[0-9]{4}\s[0-9]{4}\s[0-9]{4}$/.test(number)) return 'usps';
-        
-        // DHL patterns
-        if (/^[0-9]{10,11}$/.test(number)) return 'dhl';
-        
-        // Amazon patterns
-        if (/^TBA[0-9]{10}$/.test(number)) return 'amazon';
-        
-        return 'other';
+        // Same registry-backed pattern + checksum detection the popup uses
+        return carrierDetection.detectCarrierFromPattern(trackingNumber.trim()).carrier;
     }
 
     async showConfirmationDialog(text, tab) {
@@ -573,6 +1009,7 @@ class TrackHubBackground {
             trackingNumber: text.trim(),
             brand: this.detectBrand(text),
             description: `Quick add from ${tab.title}`,
+            sourceDomain: this.getDomain(tab.url),
             dateAdded: new Date().toISOString(),
             status: 'pending'
         };
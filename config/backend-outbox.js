@@ -0,0 +1,257 @@
+// Backend Outbox for TrackHub
+// Durable queue of backend writes, replayed by the background worker with backoff until they land
+
+import { TRACKING_SERVICE_CONFIG } from './tracking-service.js';
+
+export const OUTBOX_CONFIG = {
+  storageKey: 'trackhub_outbox',
+  alarmName: 'trackhub-outbox-retry',
+  // chrome.alarms will not fire sooner than 30 seconds anyway
+  baseDelayMs: 30 * 1000,
+  maxDelayMs: 60 * 60 * 1000,
+  // Then the operation is marked failed and waits for a manual retry from the popup
+  maxAttempts: 8
+};
+
+export const OUTBOX_OPERATIONS = {
+  create: { endpoint: 'addTracking', method: 'POST' },
+  update: { endpoint: 'updateTracking', method: 'PUT' },
+  delete: { endpoint: 'deleteTracking', method: 'DELETE' }
+};
+
+// Worth another try later: timeouts, rate limits, server errors, expired logins
+const RETRYABLE_STATUS = new Set([401, 403, 408, 425, 429]);
+
+export class BackendOutbox {
+  constructor(config = OUTBOX_CONFIG) {
+    this.config = config;
+    this.getAuthToken = async () => null;
+    // Every read-modify-write of the queue runs through here, so enqueue and flush never interleave
+    this.lock = Promise.resolve();
+  }
+
+  setAuthTokenProvider(provider) {
+    this.getAuthToken = provider;
+  }
+
+  run(task) {
+    const result = this.lock.then(task);
+    this.lock = result.catch(() => {});
+    return result;
+  }
+
+  async load() {
+    const result = await chrome.storage.local.get([this.config.storageKey]);
+    return result[this.config.storageKey] || [];
+  }
+
+  async save(operations) {
+    await chrome.storage.local.set({ [this.config.storageKey]: operations });
+  }
+
+  // Queues a write for the item; returns the operation, or null when an unsent create made it unnecessary
+  enqueue(type, item) {
+    if (!OUTBOX_OPERATIONS[type]) {
+      return Promise.reject(new Error(`Unknown outbox operation: ${type}`));
+    }
+
+    return this.run(async () => {
+      const operations = await this.load();
+      const itemId = item.id || item.trackingNumber;
+      const unsent = operations.filter(operation => operation.itemId === itemId && operation.status === 'pending' && !operation.sent);
+
+      // Never sent, so nothing on the server to undo
+      if (type === 'delete' && unsent.some(operation => operation.type === 'create')) {
+        await this.save(operations.filter(operation => !unsent.includes(operation)));
+        return null;
+      }
+      // Same idempotency key is safe to reuse with a new body only while the server has never seen it
+      if (type === 'update' && unsent.length > 0) {
+        const latest = unsent[unsent.length - 1];
+        latest.item = { ...latest.item, ...item };
+        await this.save(operations);
+        return latest;
+      }
+
+      const operation = {
+        id: crypto.randomUUID(),
+        type,
+        itemId,
+        item,
+        status: 'pending',
+        // Set once a request has gone out; the server may have seen this key from then on
+        sent: false,
+        attempts: 0,
+        nextAttemptAt: Date.now(),
+        lastError: null,
+        createdAt: Date.now()
+      };
+      operations.push(operation);
+      await this.save(operations);
+      return operation;
+    });
+  }
+
+  // Sends every due operation; resolves to { [operationId]: { status: 'sent' | 'exists' | 'pending' | 'failed', error } }
+  flush() {
+    return this.run(async () => {
+      const outcomes = {};
+      if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+        return outcomes;
+      }
+
+      // Logged out: nothing can go out, so no retry alarm either; the background flushes again on login
+      const authToken = await this.getAuthToken();
+      if (!authToken) {
+        return outcomes;
+      }
+
+      let operations = await this.load();
+      // Writes for one item go out in order, so an update never overtakes its create
+      const blocked = new Set();
+
+      for (const operation of [...operations]) {
+        if (operation.status !== 'pending') continue;
+        if (blocked.has(operation.itemId) || operation.nextAttemptAt > Date.now()) {
+          blocked.add(operation.itemId);
+          continue;
+        }
+
+        // Stored before the request, so a worker suspended mid-flush still knows the server may have it
+        operation.sent = true;
+        await this.save(operations);
+        const outcome = await this.send(operation, authToken);
+        outcomes[operation.id] = outcome;
+
+        if (outcome.status === 'sent' || outcome.status === 'exists') {
+          operations = operations.filter(queued => queued.id !== operation.id);
+          if (outcome.backendId) {
+            await this.recordBackendId(operations, operation.itemId, outcome.backendId);
+          }
+          continue;
+        }
+
+        operation.attempts++;
+        operation.lastError = outcome.error;
+        if (outcome.status === 'failed' || operation.attempts >= this.config.maxAttempts) {
+          operation.status = 'failed';
+          outcome.status = 'failed';
+        } else {
+          operation.nextAttemptAt = Date.now() + this.getRetryDelay(operation.attempts);
+          blocked.add(operation.itemId);
+        }
+      }
+
+      await this.save(operations);
+      await this.scheduleRetry(operations);
+      return outcomes;
+    });
+  }
+
+  async send(operation, authToken) {
+    const { endpoint, method } = OUTBOX_OPERATIONS[operation.type];
+    const item = operation.item;
+    const body = operation.type === 'delete'
+      ? { id: item.backendId || item.id }
+      : {
+        ...(operation.type === 'update' && { id: item.backendId || item.id }),
+        trackingNumber: item.trackingNumber,
+        brand: item.brand,
+        description: item.description || '',
+        ...(item.dateAdded && { dateAdded: item.dateAdded }),
+        status: item.status || 'pending',
+        ...(item.estimatedDelivery && { estimatedDelivery: item.estimatedDelivery }),
+        ...(item.lastUpdate && { lastUpdate: item.lastUpdate })
+      };
+
+    let response;
+    try {
+      response = await fetch(`${TRACKING_SERVICE_CONFIG.baseUrl}${TRACKING_SERVICE_CONFIG.endpoints[endpoint]}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': authToken.startsWith('Bearer ') ? authToken : `Bearer ${authToken}`,
+          'X-Extension-Version': '1.0.0',
+          // Retries reuse the key, so a create whose response was lost is not stored twice
+          'Idempotency-Key': operation.id
+        },
+        body: JSON.stringify(body)
+      });
+    } catch (error) {
+      return { status: 'pending', error: error.message };
+    }
+
+    if (response.ok) {
+      if (operation.type !== 'create') return { status: 'sent', error: null };
+      const data = await response.json().catch(() => ({}));
+      return { status: 'sent', error: null, backendId: data.id || data.trackingId || null };
+    }
+    // The server is already where this write wanted it
+    if ((operation.type === 'create' && response.status === 409) || (operation.type === 'delete' && response.status === 404)) {
+      return { status: 'exists', error: null };
+    }
+
+    const error = `${response.status} ${response.statusText}`.trim();
+    const retryable = RETRYABLE_STATUS.has(response.status) || response.status >= 500;
+    return { status: retryable ? 'pending' : 'failed', error };
+  }
+
+  // The created item and any writes still queued for it now address the server's copy
+  async recordBackendId(operations, itemId, backendId) {
+    const result = await chrome.storage.local.get(['trackingItems']);
+    const trackingItems = result.trackingItems || [];
+    const trackingItem = trackingItems.find(item => item.id === itemId);
+    if (trackingItem) {
+      trackingItem.backendId = backendId;
+      await chrome.storage.local.set({ trackingItems });
+    }
+
+    for (const operation of operations) {
+      if (operation.itemId === itemId) operation.item = { ...operation.item, backendId };
+    }
+  }
+
+  // 30s, 1m, 2m, 4m ... capped at an hour, with jitter so queued writes do not retry in lockstep
+  getRetryDelay(attempts) {
+    const delay = Math.min(this.config.maxDelayMs, this.config.baseDelayMs * 2 ** (attempts - 1));
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  async scheduleRetry(operations) {
+    const pending = operations.filter(operation => operation.status === 'pending');
+    if (pending.length === 0) {
+      await chrome.alarms.clear(this.config.alarmName);
+      return;
+    }
+    const when = Math.max(Date.now() + this.config.baseDelayMs, Math.min(...pending.map(operation => operation.nextAttemptAt)));
+    await chrome.alarms.create(this.config.alarmName, { when });
+  }
+
+  // Failed operations go back in the queue with a fresh set of attempts (and their old idempotency keys)
+  retryFailed() {
+    return this.run(async () => {
+      const operations = await this.load();
+      for (const operation of operations) {
+        if (operation.status !== 'failed') continue;
+        Object.assign(operation, { status: 'pending', attempts: 0, nextAttemptAt: Date.now(), lastError: null });
+      }
+      await this.save(operations);
+    });
+  }
+
+  async getCounts() {
+    try {
+      const operations = await this.load();
+      return {
+        pending: operations.filter(operation => operation.status === 'pending').length,
+        failed: operations.filter(operation => operation.status === 'failed').length
+      };
+    } catch (error) {
+      console.error('Error reading outbox:', error);
+      return { pending: 0, failed: 0 };
+    }
+  }
+}
+
+export const backendOutbox = new BackendOutbox();
+export default backendOutbox;
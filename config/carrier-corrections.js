@@ -0,0 +1,119 @@
+// Carrier Correction Store for TrackHub
+// Remembers carriers users pick over our guess, keyed by number shape and source domain
+
+export const CARRIER_CORRECTIONS_CONFIG = {
+  storageKey: 'trackhub_carrier_corrections',
+  // Rules that apply regardless of the page the number came from
+  anyDomain: '*',
+  maxRules: 200
+};
+
+export class CarrierCorrectionStore {
+  constructor() {
+    this.config = CARRIER_CORRECTIONS_CONFIG;
+  }
+
+  // Shape of a tracking number: leading letters kept, then 9 per digit and A per letter
+  // 'TBA123456789012' -> 'TBA999999999999', '555123456789' -> '999999999999'
+  getSignature(trackingNumber) {
+    const value = (trackingNumber || '').replace(/\s+/g, '').toUpperCase();
+    const prefix = (value.match(/^[A-Z]{1,4}/) || [''])[0];
+    const rest = value.slice(prefix.length).replace(/[0-9]/g, '9').replace(/[A-Z]/g, 'A');
+    return prefix + rest;
+  }
+
+  normalizeDomain(domain) {
+    if (!domain) return null;
+    try {
+      const hostname = domain.includes('://') ? new URL(domain).hostname : domain;
+      return hostname.toLowerCase().replace(/^www\./, '');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  getRuleKey(signature, domain) {
+    return `${signature}|${domain || this.config.anyDomain}`;
+  }
+
+  async getRules() {
+    try {
+      const result = await chrome.storage.local.get([this.config.storageKey]);
+      return result[this.config.storageKey] || {};
+    } catch (error) {
+      console.error('Error reading carrier corrections:', error);
+      return {};
+    }
+  }
+
+  async saveRules(rules) {
+    // Drop the least recently used rules past the cap
+    const entries = Object.entries(rules);
+    if (entries.length > this.config.maxRules) {
+      entries.sort(([, a], [, b]) => b.lastUsed - a.lastUsed);
+      rules = Object.fromEntries(entries.slice(0, this.config.maxRules));
+    }
+    await chrome.storage.local.set({ [this.config.storageKey]: rules });
+  }
+
+  // Called when a user changes an item's carrier away from what we guessed
+  async recordCorrection({ trackingNumber, fromCarrier, toCarrier, domain }) {
+    if (!trackingNumber || !toCarrier || fromCarrier === toCarrier) return null;
+
+    const signature = this.getSignature(trackingNumber);
+    const normalizedDomain = this.normalizeDomain(domain);
+    const rules = await this.getRules();
+
+    // A domain-specific rule plus a general one for numbers typed into the popup
+    const domains = normalizedDomain ? [normalizedDomain, this.config.anyDomain] : [this.config.anyDomain];
+    domains.forEach(ruleDomain => {
+      const key = this.getRuleKey(signature, ruleDomain);
+      const existing = rules[key];
+      rules[key] = {
+        signature,
+        domain: ruleDomain,
+        carrier: toCarrier,
+        replaced: fromCarrier || null,
+        // Latest correction wins; repeated agreement builds up the count
+        count: existing && existing.carrier === toCarrier ? existing.count + 1 : 1,
+        lastUsed: Date.now()
+      };
+    });
+
+    await this.saveRules(rules);
+    console.log('🧠 Learned carrier correction:', { signature, domain: normalizedDomain, toCarrier });
+    return rules[this.getRuleKey(signature, normalizedDomain)];
+  }
+
+  // Domain-specific rule first, then the general one
+  async lookup(trackingNumber, domain = null) {
+    const signature = this.getSignature(trackingNumber);
+    const normalizedDomain = this.normalizeDomain(domain);
+    const rules = await this.getRules();
+
+    return (normalizedDomain && rules[this.getRuleKey(signature, normalizedDomain)]) ||
+      rules[this.getRuleKey(signature, this.config.anyDomain)] ||
+      null;
+  }
+
+  // Flat list for the settings view, most recent first
+  async listRules() {
+    const rules = await this.getRules();
+    return Object.entries(rules)
+      .map(([key, rule]) => ({ key, ...rule }))
+      .sort((a, b) => b.lastUsed - a.lastUsed);
+  }
+
+  async removeRule(key) {
+    const rules = await this.getRules();
+    delete rules[key];
+    await this.saveRules(rules);
+  }
+
+  async reset() {
+    await chrome.storage.local.remove([this.config.storageKey]);
+  }
+}
+
+export const carrierCorrections = new CarrierCorrectionStore();
+export default carrierCorrections;
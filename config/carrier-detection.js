@@ -1,69 +1,30 @@
 // Enhanced Carrier Detection Service
 // Detects carriers from tracking numbers, DOM content, and website context
 
+import { carrierRegistry } from './carrier-registry.js';
+import { carrierCorrections } from './carrier-corrections.js';
+import { TokenClassifier } from './token-classifier.js';
+import { carrierScoring } from './carrier-scoring.js';
+
+// How far around the tracking number the DOM scan looks for carrier names
+export const DOM_SCAN_CONFIG = {
+  // Ancestor levels above the element holding the number; proximity drops per level
+  maxDepth: 4,
+  // Stop climbing once an ancestor holds more text than this (we've reached page layout)
+  maxTextLength: 2000,
+  // Text right before a carrier name that says "this is the carrier"
+  labels: ['carrier', 'shipped via', 'ship via', 'shipping carrier', 'shipped with', 'delivered by', 'courier', 'shipping method', 'service']
+};
+
 export class CarrierDetectionService {
-  constructor() {
-    this.carrierPatterns = this.initializeCarrierPatterns();
-    this.websiteCarrierMappings = this.initializeWebsiteMappings();
+  constructor(registry = carrierRegistry, corrections = carrierCorrections, scoring = carrierScoring) {
+    this.registry = registry;
+    this.corrections = corrections;
+    this.scoring = scoring;
+    this.classifier = new TokenClassifier(registry);
     this.domSelectors = this.initializeDOMSelectors();
   }
 
-  initializeCarrierPatterns() {
-    return {
-      ups: [
-        { pattern: /^1Z[0-9A-Z]{16}$/, confidence: 'high' },
-        { pattern: /^[0-9]{10,}$/, confidence: 'medium' },
-        { pattern: /^T[0-9]{10}$/, confidence: 'high' }
-      ],
-      fedex: [
-        { pattern: /^[0-9]{12}$/, confidence: 'high' },
-        { pattern: /^[0-9]{14}$/, confidence: 'high' },
-        { pattern: /^[0-9]{15}$/, confidence: 'high' },
-        { pattern: /^[0-9]{20}$/, confidence: 'high' }
-      ],
-      usps: [
-        { pattern: /^[A-Z]{2}[0-9]{9}[A-Z]{2}$/, confidence: 'high' },
-        { pattern: /^[0-9]{4}\s[0-9]{4}\s[0-9]{4}\s[0-9]{4}$/, confidence: 'high' },
-        { pattern: /^[0-9]{20,22}$/, confidence: 'medium' },
-        { pattern: /^[A-Z]{2}[0-9]{9}US$/, confidence: 'high' }
-      ],
-      dhl: [
-        { pattern: /^[0-9]{10,11}$/, confidence: 'medium' },
-        { pattern: /^[0-9]{12}$/, confidence: 'medium' },
-        { pattern: /^[0-9]{14}$/, confidence: 'medium' }
-      ],
-      amazon: [
-        { pattern: /^TBA[0-9]{10}$/, confidence: 'high' },
-        { pattern: /^TBA[0-9]{12}$/, confidence: 'high' },
-        { pattern: /^[0-9]{3}-[0-9]{7}-[0-9]{7}$/, confidence: 'high' }
-      ],
-      ontrac: [
-        { pattern: /^[0-9]{12}$/, confidence: 'low' },
-        { pattern: /^[A-Z]{2}[0-9]{8}$/, confidence: 'medium' }
-      ],
-      lasership: [
-        { pattern: /^[0-9]{12}$/, confidence: 'low' },
-        { pattern: /^[A-Z]{2}[0-9]{8}$/, confidence: 'medium' }
-      ]
-    };
-  }
-
-  initializeWebsiteMappings() {
-    return {
-      'ups.com': 'ups',
-      'fedex.com': 'fedex',
-      'usps.com': 'usps',
-      'dhl.com': 'dhl',
-      'amazon.com': 'amazon',
-      'ontrac.com': 'ontrac',
-      'lasership.com': 'lasership',
-      'track.ups.com': 'ups',
-      'www.fedex.com': 'fedex',
-      'tools.usps.com': 'usps',
-      'webtrack.dhl.com': 'dhl'
-    };
-  }
-
   initializeDOMSelectors() {
     return {
       // Common selectors for carrier information on tracking pages
@@ -99,26 +60,31 @@ export class CarrierDetectionService {
   async detectCarrierFromContext(trackingNumber, tab = null) {
     const results = [];
     
-    // 1. Pattern-based detection (highest priority)
-    const patternResult = this.detectCarrierFromPattern(trackingNumber);
-    if (patternResult.confidence === 'high') {
+    // 1. Pattern-based detection (highest priority), every matching carrier is a candidate
+    this.matchCarrierPatterns(trackingNumber).forEach(patternResult => {
       results.push({ ...patternResult, source: 'pattern' });
-    }
+    });
 
     // 2. Website-based detection
     if (tab && tab.url) {
       const websiteResult = this.detectCarrierFromWebsite(tab.url);
       if (websiteResult) {
-        results.push({ carrier: websiteResult, confidence: 'high', source: 'website' });
+        results.push({ carrier: websiteResult, confidence: 'high', source: 'website', domain: new URL(tab.url).hostname });
       }
     }
 
-    // 3. DOM-based detection (if we have access to the page)
-    if (tab) {
+    // 3. Carriers the user picked before for this number shape (and site)
+    const learnedResult = await this.detectCarrierFromCorrections(trackingNumber, tab && tab.url);
+    if (learnedResult) {
+      results.push(learnedResult);
+    }
+
+    // 4. DOM-based detection (if we have access to the page)
+    if (tab && tab.id !== undefined) {
       try {
-        const domResult = await this.detectCarrierFromDOM(tab.id);
+        const domResult = await this.detectCarrierFromDOM(tab.id, trackingNumber);
         if (domResult) {
-          results.push({ ...domResult, source: 'dom' });
+          results.push({ ...domResult, source: domResult.source || 'dom' });
         }
       } catch (error) {
         console.log('DOM detection failed:', error);
@@ -131,43 +97,35 @@ export class CarrierDetectionService {
 
   // Pattern-based detection
   detectCarrierFromPattern(trackingNumber) {
-    const number = trackingNumber.trim();
-    const results = [];
-
-    Object.entries(this.carrierPatterns).forEach(([carrier, patterns]) => {
-      patterns.forEach(({ pattern, confidence }) => {
-        if (pattern.test(number)) {
-          results.push({
-            carrier,
-            confidence,
-            pattern: pattern.toString()
-          });
-        }
-      });
-    });
+    const results = this.matchCarrierPatterns(trackingNumber);
+    return results.length > 0 ? results[0] : { carrier: 'other', confidence: 'low', source: 'pattern', checksumValid: null };
+  }
 
-    // Sort by confidence
-    results.sort((a, b) => {
-      const confidenceOrder = { high: 3, medium: 2, low: 1 };
-      return confidenceOrder[b.confidence] - confidenceOrder[a.confidence];
-    });
+  // All pattern matches, best first, with check digits applied
+  matchCarrierPatterns(trackingNumber) {
+    return this.registry.matchPatterns(trackingNumber);
+  }
 
-    return results.length > 0 ? results[0] : { carrier: 'other', confidence: 'low', source: 'pattern' };
+  // Ranked candidates from the number alone (no page context)
+  rankCarriersFromPattern(trackingNumber) {
+    const results = this.matchCarrierPatterns(trackingNumber).map(result => ({ ...result, source: 'pattern' }));
+    return this.selectBestResult(results, trackingNumber);
   }
 
   // Website-based detection
   detectCarrierFromWebsite(url) {
     try {
-      const domain = new URL(url).hostname.toLowerCase();
+      const domain = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+      const websiteMappings = this.registry.getWebsiteMappings();
       
       // Direct domain mapping
-      if (this.websiteCarrierMappings[domain]) {
-        return this.websiteCarrierMappings[domain];
+      if (websiteMappings[domain]) {
+        return websiteMappings[domain];
       }
 
-      // Partial domain matching
-      for (const [website, carrier] of Object.entries(this.websiteCarrierMappings)) {
-        if (domain.includes(website.replace(/^www\./, ''))) {
+      // Subdomain matching (track.ups.com, tools.usps.com)
+      for (const [website, carrier] of Object.entries(websiteMappings)) {
+        if (domain.endsWith(`.${website}`)) {
           return carrier;
         }
       }
@@ -178,13 +136,32 @@ export class CarrierDetectionService {
     }
   }
 
+  // Learned detection from user corrections
+  async detectCarrierFromCorrections(trackingNumber, url = null) {
+    try {
+      const rule = await this.corrections.lookup(trackingNumber, url);
+      if (!rule || !this.registry.get(rule.carrier)) return null;
+
+      return {
+        carrier: rule.carrier,
+        confidence: 'high',
+        source: 'learned',
+        learnedFrom: { signature: rule.signature, domain: rule.domain, count: rule.count }
+      };
+    } catch (error) {
+      console.log('Learned detection failed:', error);
+      return null;
+    }
+  }
+
   // DOM-based detection
-  async detectCarrierFromDOM(tabId) {
+  async detectCarrierFromDOM(tabId, trackingNumber) {
     try {
-      // Inject script to scan DOM for carrier information
+      // Inject script to scan the page around the tracking number for carrier information
       const results = await chrome.scripting.executeScript({
         target: { tabId },
-        func: this.scanDOMForCarrier.bind(this)
+        func: this.scanDOMForCarrier,
+        args: [this.registry.getKeywordMap(), trackingNumber, DOM_SCAN_CONFIG]
       });
 
       return results[0]?.result || null;
@@ -194,91 +171,143 @@ export class CarrierDetectionService {
     }
   }
 
-  // Function to be injected into the page
-  scanDOMForCarrier() {
-    const carrierKeywords = {
-      ups: ['ups', 'united parcel service'],
-      fedex: ['fedex', 'federal express'],
-      usps: ['usps', 'united states postal service', 'postal service'],
-      dhl: ['dhl'],
-      amazon: ['amazon', 'amazon logistics'],
-      ontrac: ['ontrac'],
-      lasership: ['lasership', 'laser ship']
-    };
-
-    // Search for carrier keywords in the page
-    const pageText = document.body.innerText.toLowerCase();
-    const foundCarriers = [];
-
-    Object.entries(carrierKeywords).forEach(([carrier, keywords]) => {
-      keywords.forEach(keyword => {
-        if (pageText.includes(keyword)) {
-          foundCarriers.push({
-            carrier,
-            confidence: 'medium',
-            keyword,
-            source: 'dom'
-          });
+  // Function to be injected into the page, so it must not use anything outside its own body.
+  // Looks only near the element holding the number; keywords come from the registry.
+  scanDOMForCarrier(carrierKeywords, trackingNumber, scanConfig) {
+    const compact = value => (value || '').replace(/[\s-]+/g, '').toUpperCase();
+    const target = compact(trackingNumber);
+    const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    // Whole words only: "ups" must not match "groups" or "pups"
+    const keywordRegex = keyword => new RegExp(`(^|[^a-z0-9])${escapeRegExp(keyword)}(?![a-z0-9])`, 'i');
+    const labelRegex = new RegExp(`(?:${scanConfig.labels.map(escapeRegExp).join('|')})\\s*[:\\-]?\\s*$`, 'i');
+
+    // 1. The element holding the number: the user's selection first, then the first text node containing it
+    let anchor = null;
+    const selection = window.getSelection();
+    if (selection && selection.rangeCount > 0 && compact(selection.toString()).includes(target)) {
+      const container = selection.getRangeAt(0).commonAncestorContainer;
+      anchor = container.nodeType === Node.TEXT_NODE ? container.parentElement : container;
+    }
+    if (!anchor && target) {
+      const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+      let node;
+      while ((node = walker.nextNode())) {
+        if (compact(node.textContent).includes(target)) {
+          anchor = node.parentElement;
+          break;
         }
-      });
+      }
+    }
+    // Number split across several nodes (<span>1Z</span><span>999...</span>)
+    if (!anchor && target) {
+      anchor = Array.from(document.querySelectorAll('body *'))
+        .reverse()
+        .find(element => compact(element.textContent).includes(target)) || null;
+    }
+    if (!anchor) return null;
+
+    const describe = element => ({
+      tag: element.tagName.toLowerCase(),
+      id: element.id || null,
+      className: typeof element.className === 'string' ? element.className.trim() || null : null,
+      text: (element.innerText || element.alt || element.title || '').trim().replace(/\s+/g, ' ').slice(0, 80)
     });
 
-    // Also check for carrier logos/images
-    const images = document.querySelectorAll('img');
-    images.forEach(img => {
-      const src = img.src.toLowerCase();
-      const alt = (img.alt || '').toLowerCase();
-      const title = (img.title || '').toLowerCase();
-      
+    // 2. Walk up from the anchor; nearer text counts more
+    const found = [];
+    let element = anchor;
+    for (let depth = 0; element && element !== document.documentElement && depth <= scanConfig.maxDepth; depth++) {
+      const text = element.innerText || '';
+      if (depth > 0 && text.length > scanConfig.maxTextLength) break;
+
+      const proximity = Math.round((1 - depth / (scanConfig.maxDepth + 1)) * 100) / 100;
+
       Object.entries(carrierKeywords).forEach(([carrier, keywords]) => {
         keywords.forEach(keyword => {
-          if (src.includes(keyword) || alt.includes(keyword) || title.includes(keyword)) {
-            foundCarriers.push({
+          const match = keywordRegex(keyword).exec(text);
+          if (match) {
+            const before = text.slice(Math.max(0, match.index - 30), match.index + match[1].length);
+            const label = labelRegex.exec(before);
+            found.push({
               carrier,
-              confidence: 'high',
               keyword,
-              source: 'dom_logo'
+              source: 'dom',
+              proximity,
+              label: label ? label[0].replace(/[\s:\-]+$/, '').trim() : null,
+              confidence: label ? 'high' : proximity >= 0.8 ? 'medium' : 'low',
+              evidence: describe(element)
             });
           }
         });
       });
-    });
 
-    // Return the most confident result
-    if (foundCarriers.length > 0) {
-      foundCarriers.sort((a, b) => {
-        const confidenceOrder = { high: 3, medium: 2, low: 1 };
-        return confidenceOrder[b.confidence] - confidenceOrder[a.confidence];
+      // Carrier logos next to the number: alt, title and the image file name
+      element.querySelectorAll('img').forEach(img => {
+        const fileName = (img.getAttribute('src') || '').split(/[?#]/)[0].split('/').pop().replace(/[._-]+/g, ' ');
+        const imageText = `${img.alt || ''} ${img.title || ''} ${fileName}`;
+        Object.entries(carrierKeywords).forEach(([carrier, keywords]) => {
+          keywords.forEach(keyword => {
+            if (keywordRegex(keyword).test(imageText)) {
+              found.push({ carrier, keyword, source: 'dom_logo', proximity, label: null, confidence: 'high', evidence: describe(img) });
+            }
+          });
+        });
       });
-      return foundCarriers[0];
+
+      element = element.parentElement;
     }
 
-    return null;
+    if (found.length === 0) return null;
+
+    // Labelled mentions first, then the closest, then logos over plain text
+    found.sort((a, b) =>
+      (Number(Boolean(b.label)) - Number(Boolean(a.label))) ||
+      (b.proximity - a.proximity) ||
+      (Number(b.source === 'dom_logo') - Number(a.source === 'dom_logo'))
+    );
+    return found[0];
   }
 
-  // Select the best result from all detection methods
+  // Score every carrier 0-1 from all signals, best first, each with the reasons behind its score
   selectBestResult(results, trackingNumber) {
     if (results.length === 0) {
-      return { carrier: 'other', confidence: 'low', source: 'none' };
+      return { carrier: 'other', confidence: 'low', source: 'none', score: 0, explanation: [], alternatives: [], signals: [], ambiguous: false };
     }
 
-    // Prioritize by source and confidence
-    const sourcePriority = { pattern: 3, website: 2, dom_logo: 2, dom: 1 };
-    const confidenceOrder = { high: 3, medium: 2, low: 1 };
+    const ranked = this.scoring.rankCarriers(results);
+    const best = ranked[0];
+    // Keep the winning signal's own fields (pattern, checksumValid, learnedFrom)
+    const bestSignal = results.find(result => result.carrier === best.carrier && result.source === best.source) || {};
 
-    results.sort((a, b) => {
-      const sourceScore = sourcePriority[a.source] || 0;
-      const confidenceScore = confidenceOrder[a.confidence] || 0;
-      const aScore = sourceScore + confidenceScore;
-      
-      const bSourceScore = sourcePriority[b.source] || 0;
-      const bConfidenceScore = confidenceOrder[b.confidence] || 0;
-      const bScore = bSourceScore + bConfidenceScore;
-      
-      return bScore - aScore;
-    });
+    return {
+      ...bestSignal,
+      carrier: best.carrier,
+      confidence: best.confidence,
+      source: best.source,
+      score: best.score,
+      explanation: best.explanation,
+      alternatives: ranked.map(({ carrier, confidence, source, score, explanation }) => ({ carrier, confidence, source, score, explanation })),
+      // Every signal that fed the decision, not just the best one per carrier
+      signals: results.map(result => ({
+        carrier: result.carrier,
+        confidence: result.confidence,
+        source: result.source,
+        strength: this.scoring.scoreSignal(result).strength,
+        // Element the DOM scan took the carrier name from
+        ...(result.evidence ? { evidence: result.evidence } : {})
+      })),
+      ambiguous: this.isAmbiguous(ranked)
+    };
+  }
 
-    return results[0];
+  // Close race between the top two carriers - ask the user instead of guessing
+  isAmbiguous(alternatives) {
+    return this.scoring.isAmbiguous(alternatives);
+  }
+
+  // tracking / order / return_authorization / unknown, see token-classifier.js
+  classifyToken(token) {
+    return this.classifier.classify(token);
   }
 
   // Enhanced tracking number validation
@@ -290,46 +319,41 @@ export class CarrierDetectionService {
       return false;
     }
 
+    // Order numbers and return authorizations are not shipments
+    if (!this.classifier.isTrackable(trimmed)) {
+      return false;
+    }
+
     // Check if it matches any known pattern
-    const patternResult = this.detectCarrierFromPattern(trimmed);
-    return patternResult.carrier !== 'other' || /^[A-Z0-9]{8,}$/.test(trimmed);
+    const matches = this.matchCarrierPatterns(trimmed);
+    if (matches.length === 0) {
+      return /^[A-Z0-9]{8,}$/.test(trimmed);
+    }
+
+    // Carrier-shaped number whose check digit is wrong and nothing better matched (phone numbers, order IDs)
+    const best = matches[0];
+    if (best.confidence === 'low' && matches.some(match => match.checksumValid === false)) {
+      return false;
+    }
+
+    return true;
   }
 
   // Get all available carriers
   getAvailableCarriers() {
-    return Object.keys(this.carrierPatterns).map(carrier => ({
-      id: carrier,
-      name: this.getCarrierDisplayName(carrier),
-      icon: this.getCarrierIcon(carrier)
+    return this.registry.getAll({ includeOther: false }).map(carrier => ({
+      id: carrier.id,
+      name: carrier.name,
+      icon: carrier.icon
     }));
   }
 
   getCarrierDisplayName(carrier) {
-    const names = {
-      ups: 'UPS',
-      fedex: 'FedEx',
-      usps: 'USPS',
-      dhl: 'DHL',
-      amazon: 'Amazon',
-      ontrac: 'OnTrac',
-      lasership: 'LaserShip',
-      other: 'Other'
-    };
-    return names[carrier] || carrier;
+    return this.registry.getDisplayName(carrier);
   }
 
   getCarrierIcon(carrier) {
-    const icons = {
-      ups: '🚚',
-      fedex: '📦',
-      usps: '📮',
-      dhl: '🌍',
-      amazon: '📦',
-      ontrac: '🚛',
-      lasership: '🚚',
-      other: '📦'
-    };
-    return icons[carrier] || '📦';
+    return this.registry.getIcon(carrier);
   }
 }
 
@@ -0,0 +1,139 @@
+// Carrier Prediction Service for TrackHub
+// Local implementation of POST /api/carrier/predict (see backend-api-endpoints.md)
+
+import { carrierDetection } from './carrier-detection.js';
+
+export const CARRIER_PREDICTION_CONFIG = {
+  endpoint: '/api/carrier/predict',
+  // Base URL of a backend implementing the endpoint; unset means local prediction only
+  storageKey: 'predictionApiUrl',
+  timeout: 5000,
+  confidenceLevels: ['high', 'medium', 'low']
+};
+
+export class CarrierPredictionService {
+  constructor(detection = carrierDetection) {
+    this.config = CARRIER_PREDICTION_CONFIG;
+    this.detection = detection;
+    this.registry = detection.registry;
+  }
+
+  // Takes the endpoint's request body: { trackingNumber, context: { url, userAgent, timestamp, source } }
+  async predict(request = {}, tab = null) {
+    const trackingNumber = (request.trackingNumber || '').trim();
+    if (!trackingNumber) {
+      throw new Error('trackingNumber is required');
+    }
+    const context = request.context || {};
+
+    const local = await this.predictLocally(trackingNumber, context, tab);
+
+    // Only ask the backend when we could not tell on our own
+    if (local.carrier !== 'other' && local.confidence !== 'low') {
+      return local;
+    }
+
+    const baseUrl = await this.getRemoteBaseUrl();
+    if (!baseUrl) {
+      return local;
+    }
+
+    try {
+      return await this.predictRemotely(baseUrl, trackingNumber, context);
+    } catch (error) {
+      console.log('Remote carrier prediction failed, using local result:', error.message);
+      return local;
+    }
+  }
+
+  async predictLocally(trackingNumber, context, tab) {
+    // The DOM is only reachable through a real tab; a bare URL still gives the website signal
+    const target = tab || (context.url ? { url: context.url } : null);
+    const result = await this.detection.detectCarrierFromContext(trackingNumber, target);
+    const signals = result.signals || [];
+    const patternMatch = this.detection.matchCarrierPatterns(trackingNumber)
+      .find(match => match.carrier === result.carrier);
+
+    return this.buildResponse(trackingNumber, {
+      carrier: result.carrier,
+      confidence: result.confidence,
+      source: result.source,
+      alternatives: result.alternatives,
+      detectionDetails: {
+        pattern: patternMatch ? this.detection.scoring.getPatternSource(patternMatch.pattern) : null,
+        websiteMatch: signals.some(signal => signal.source === 'website' && signal.carrier === result.carrier),
+        domMatch: signals.some(signal => signal.source.startsWith('dom') && signal.carrier === result.carrier)
+      }
+    });
+  }
+
+  async predictRemotely(baseUrl, trackingNumber, context) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.config.timeout);
+
+    try {
+      const response = await fetch(`${baseUrl.replace(/\/+$/, '')}${this.config.endpoint}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Extension-Version': chrome.runtime.getManifest().version
+        },
+        body: JSON.stringify({ trackingNumber, context }),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      return this.buildResponse(trackingNumber, await response.json());
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Both paths end here so callers always get the documented shape with known carrier ids
+  buildResponse(trackingNumber, data) {
+    const carrier = this.normalizeCarrier(data.carrier);
+    const details = data.detectionDetails || {};
+
+    return {
+      carrier,
+      confidence: this.normalizeConfidence(data.confidence),
+      source: data.source || 'none',
+      alternatives: (data.alternatives || []).map(alternative => ({
+        carrier: this.normalizeCarrier(alternative.carrier),
+        confidence: this.normalizeConfidence(alternative.confidence),
+        source: alternative.source || 'none'
+      })),
+      trackingNumber,
+      suggestedBrand: this.registry.getDisplayName(carrier),
+      detectionDetails: {
+        pattern: details.pattern || null,
+        websiteMatch: Boolean(details.websiteMatch),
+        domMatch: Boolean(details.domMatch)
+      }
+    };
+  }
+
+  normalizeCarrier(carrier) {
+    const id = (carrier || '').toLowerCase();
+    return this.registry.has(id) ? id : 'other';
+  }
+
+  normalizeConfidence(confidence) {
+    return this.config.confidenceLevels.includes(confidence) ? confidence : 'low';
+  }
+
+  async getRemoteBaseUrl() {
+    try {
+      const result = await chrome.storage.local.get([this.config.storageKey]);
+      return result[this.config.storageKey] || null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+export const carrierPrediction = new CarrierPredictionService();
+export default carrierPrediction;
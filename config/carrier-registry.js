@@ -0,0 +1,701 @@
+// Carrier Registry for TrackHub
+// Single source of carrier definitions: patterns, checksums, display data, tracking URLs and site domains
+
+import {
+  validateUps1Z,
+  validateFedExExpress,
+  validateFedExGround,
+  validateFedExSSCC,
+  validateUspsImpb,
+  validateS10,
+  validateDhlExpress
+} from './tracking-checksums.js';
+
+export const CARRIER_REGISTRY_CONFIG = {
+  storageKeys: {
+    customCarriers: 'trackhub_custom_carriers'
+  },
+  confidenceOrder: { high: 3, medium: 2, low: 1 }
+};
+
+// Built-in carriers. Patterns are anchored; `checksum` is optional per pattern.
+// `s10Countries` adds a UPU S10 pattern for those country suffixes; `s10Fallback` one for any suffix no other carrier claims.
+const BUILT_IN_CARRIERS = [
+  {
+    id: 'ups',
+    name: 'UPS',
+    icon: '🚚',
+    patterns: [
+      { pattern: /^1Z[0-9A-Z]{16}$/, confidence: 'high', checksum: validateUps1Z },
+      { pattern: /^T[0-9]{10}$/, confidence: 'high' },
+      { pattern: /^[0-9]{10,}$/, confidence: 'low' }
+    ],
+    trackingUrl: 'https://www.ups.com/track?trackingNumber={trackingNumber}',
+    domains: ['ups.com'],
+    keywords: ['ups', 'united parcel service']
+  },
+  {
+    id: 'fedex',
+    name: 'FedEx',
+    icon: '📦',
+    patterns: [
+      { pattern: /^[0-9]{12}$/, confidence: 'high', checksum: validateFedExExpress },
+      { pattern: /^[0-9]{14}$/, confidence: 'high' },
+      { pattern: /^[0-9]{15}$/, confidence: 'high', checksum: validateFedExGround },
+      { pattern: /^[0-9]{20}$/, confidence: 'high' },
+      { pattern: /^96[0-9]{20}$/, confidence: 'high', checksum: validateFedExSSCC }
+    ],
+    trackingUrl: 'https://www.fedex.com/fedextrack/?trknbr={trackingNumber}',
+    domains: ['fedex.com'],
+    keywords: ['fedex', 'federal express']
+  },
+  {
+    id: 'usps',
+    name: 'USPS',
+    icon: '📮',
+    s10Countries: ['US'],
+    patterns: [
+      { pattern: /^[0-9]{4}\s[0-9]{4}\s[0-9]{4}\s[0-9]{4}$/, confidence: 'high' },
+      { pattern: /^9[1-5][0-9]{20}$/, confidence: 'high', checksum: validateUspsImpb },
+      { pattern: /^420[0-9]{27}(?:[0-9]{4})?$/, confidence: 'high', checksum: validateUspsImpb },
+      { pattern: /^[0-9]{20,22}$/, confidence: 'medium', checksum: validateUspsImpb },
+      { pattern: /^[0-9]{26}$/, confidence: 'medium', checksum: validateUspsImpb }
+    ],
+    trackingUrl: 'https://tools.usps.com/go/TrackConfirmAction?qtc_tLabels1={trackingNumber}',
+    domains: ['usps.com'],
+    keywords: ['usps', 'united states postal service', 'postal service']
+  },
+  {
+    id: 'dhl',
+    name: 'DHL',
+    icon: '🌍',
+    patterns: [
+      { pattern: /^[0-9]{10}$/, confidence: 'medium', checksum: validateDhlExpress },
+      { pattern: /^[0-9]{11}$/, confidence: 'low' },
+      { pattern: /^[0-9]{12}$/, confidence: 'low' },
+      { pattern: /^[0-9]{14}$/, confidence: 'medium' },
+      { pattern: /^[0-9]{16}$/, confidence: 'low' }
+    ],
+    trackingUrl: 'https://www.dhl.com/tracking?trackingNumber={trackingNumber}',
+    domains: ['dhl.com'],
+    keywords: ['dhl']
+  },
+  {
+    id: 'amazon',
+    name: 'Amazon',
+    icon: '📱',
+    patterns: [
+      { pattern: /^TBA[0-9]{10}$/, confidence: 'high' },
+      { pattern: /^TBA[0-9]{12}$/, confidence: 'high' }
+    ],
+    trackingUrl: 'https://www.amazon.com/progress-tracker/package/{trackingNumber}',
+    domains: ['amazon.com'],
+    keywords: ['amazon', 'amazon logistics']
+  },
+  {
+    id: 'ontrac',
+    name: 'OnTrac',
+    icon: '🚛',
+    patterns: [
+      { pattern: /^[CD][0-9]{14}$/, confidence: 'high' },
+      { pattern: /^[0-9]{12}$/, confidence: 'low' }
+    ],
+    trackingUrl: 'https://www.ontrac.com/tracking?trackingNumber={trackingNumber}',
+    domains: ['ontrac.com'],
+    keywords: ['ontrac']
+  },
+  {
+    id: 'lasership',
+    name: 'LaserShip',
+    icon: '🚚',
+    patterns: [
+      { pattern: /^1LS[0-9A-Z]{12,15}$/, confidence: 'high' },
+      { pattern: /^L[A-Z][0-9]{8}$/, confidence: 'medium' },
+      { pattern: /^[0-9]{12}$/, confidence: 'low' }
+    ],
+    trackingUrl: 'https://www.lasership.com/track/{trackingNumber}',
+    domains: ['lasership.com'],
+    keywords: ['lasership', 'laser ship']
+  }
+];
+
+// National posts, matched on the UPU S10 country suffix (RR123456785CN -> China Post)
+const POSTAL_CARRIERS = [
+  {
+    id: 'canadapost',
+    name: 'Canada Post',
+    icon: '🇨🇦',
+    s10Countries: ['CA'],
+    trackingUrl: 'https://www.canadapost-postescanada.ca/track-reperage/en#/search?searchFor={trackingNumber}',
+    domains: ['canadapost-postescanada.ca', 'canadapost.ca'],
+    keywords: ['canada post', 'postes canada']
+  },
+  {
+    id: 'royalmail',
+    name: 'Royal Mail',
+    icon: '🇬🇧',
+    s10Countries: ['GB'],
+    trackingUrl: 'https://www.royalmail.com/track-your-item#/tracking-results/{trackingNumber}',
+    domains: ['royalmail.com'],
+    keywords: ['royal mail']
+  },
+  {
+    id: 'deutschepost',
+    name: 'Deutsche Post',
+    icon: '🇩🇪',
+    s10Countries: ['DE'],
+    trackingUrl: 'https://www.deutschepost.de/de/s/sendungsverfolgung.html?piececode={trackingNumber}',
+    domains: ['deutschepost.de'],
+    keywords: ['deutsche post']
+  },
+  {
+    id: 'chinapost',
+    name: 'China Post',
+    icon: '🇨🇳',
+    s10Countries: ['CN'],
+    // China Post has no deep-linkable tracking page; 17TRACK is the usual stand-in
+    trackingUrl: 'https://t.17track.net/en#nums={trackingNumber}',
+    domains: ['chinapost.com.cn', 'ems.com.cn'],
+    keywords: ['china post', 'china ems']
+  },
+  {
+    id: 'auspost',
+    name: 'Australia Post',
+    icon: '🇦🇺',
+    s10Countries: ['AU'],
+    trackingUrl: 'https://auspost.com.au/mypost/track/#/details/{trackingNumber}',
+    domains: ['auspost.com.au'],
+    keywords: ['australia post', 'auspost']
+  },
+  {
+    id: 'japanpost',
+    name: 'Japan Post',
+    icon: '🇯🇵',
+    s10Countries: ['JP'],
+    trackingUrl: 'https://trackings.post.japanpost.jp/services/srv/search/direct?reqCodeNo1={trackingNumber}&locale=en',
+    domains: ['japanpost.jp'],
+    keywords: ['japan post']
+  },
+  {
+    id: 'postnl',
+    name: 'PostNL',
+    icon: '🇳🇱',
+    s10Countries: ['NL'],
+    trackingUrl: 'https://jouw.postnl.nl/track-and-trace/{trackingNumber}',
+    domains: ['postnl.nl', 'postnl.post'],
+    keywords: ['postnl']
+  },
+  {
+    id: 'laposte',
+    name: 'La Poste',
+    icon: '🇫🇷',
+    s10Countries: ['FR'],
+    trackingUrl: 'https://www.laposte.fr/outils/suivre-vos-envois?code={trackingNumber}',
+    domains: ['laposte.fr'],
+    keywords: ['la poste']
+  },
+  {
+    id: 'swisspost',
+    name: 'Swiss Post',
+    icon: '🇨🇭',
+    s10Countries: ['CH'],
+    trackingUrl: 'https://service.post.ch/ekp-web/ui/entry/search/{trackingNumber}',
+    domains: ['post.ch'],
+    keywords: ['swiss post', 'die post']
+  },
+  {
+    id: 'posteitaliane',
+    name: 'Poste Italiane',
+    icon: '🇮🇹',
+    s10Countries: ['IT'],
+    trackingUrl: 'https://www.poste.it/cerca/index.html#/risultati-spedizioni/{trackingNumber}',
+    domains: ['poste.it'],
+    keywords: ['poste italiane']
+  },
+  {
+    id: 'correos',
+    name: 'Correos',
+    icon: '🇪🇸',
+    s10Countries: ['ES'],
+    trackingUrl: 'https://www.correos.es/es/en/tools/tracker/items/details?tracking-number={trackingNumber}',
+    domains: ['correos.es'],
+    keywords: ['correos']
+  },
+  {
+    id: 'austrianpost',
+    name: 'Austrian Post',
+    icon: '🇦🇹',
+    s10Countries: ['AT'],
+    trackingUrl: 'https://www.post.at/s/sendungsdetails?snr={trackingNumber}',
+    domains: ['post.at'],
+    keywords: ['österreichische post', 'austrian post']
+  },
+  {
+    id: 'bpost',
+    name: 'bpost',
+    icon: '🇧🇪',
+    s10Countries: ['BE'],
+    trackingUrl: 'https://track.bpost.cloud/btr/web/#/search?itemCode={trackingNumber}&lang=en',
+    domains: ['bpost.be', 'bpost.cloud'],
+    keywords: ['bpost']
+  },
+  {
+    id: 'koreapost',
+    name: 'Korea Post',
+    icon: '🇰🇷',
+    s10Countries: ['KR'],
+    trackingUrl: 'https://service.epost.go.kr/trace.RetrieveEmsRigiTraceList.comm?POST_CODE={trackingNumber}&displayHeader=N',
+    domains: ['epost.go.kr'],
+    keywords: ['korea post']
+  },
+  {
+    id: 'nzpost',
+    name: 'NZ Post',
+    icon: '🇳🇿',
+    s10Countries: ['NZ'],
+    trackingUrl: 'https://www.nzpost.co.nz/tools/tracking/item/{trackingNumber}',
+    domains: ['nzpost.co.nz'],
+    keywords: ['nz post', 'new zealand post']
+  },
+  {
+    // S10 numbers whose country suffix no national post above claims (RR123456785BR)
+    id: 'upu',
+    name: 'International Post',
+    icon: '🌐',
+    s10Fallback: true,
+    trackingUrl: 'https://parcelsapp.com/en/tracking/{trackingNumber}',
+    domains: [],
+    keywords: ['international post', 'upu']
+  }
+];
+
+// Regional and last-mile couriers (Canada, Europe, Asia, Middle East, Australia)
+const REGIONAL_CARRIERS = [
+  {
+    id: 'purolator',
+    name: 'Purolator',
+    icon: '🚚',
+    patterns: [
+      { pattern: /^[0-9]{12}$/, confidence: 'low' }
+    ],
+    trackingUrl: 'https://www.purolator.com/en/shipping/tracker?pin={trackingNumber}',
+    domains: ['purolator.com'],
+    keywords: ['purolator']
+  },
+  {
+    id: 'canpar',
+    name: 'Canpar',
+    icon: '🚚',
+    patterns: [
+      { pattern: /^D[0-9]{19,21}$/, confidence: 'high' }
+    ],
+    trackingUrl: 'https://www.canpar.com/en/tracking/delivery_options.htm?barcode={trackingNumber}',
+    domains: ['canpar.com', 'canpar.ca'],
+    keywords: ['canpar']
+  },
+  {
+    id: 'dpd',
+    name: 'DPD',
+    icon: '🚚',
+    patterns: [
+      { pattern: /^[0-9]{14}$/, confidence: 'low' },
+      { pattern: /^[0-9]{28}$/, confidence: 'low' }
+    ],
+    trackingUrl: 'https://tracking.dpd.de/status/en_US/parcel/{trackingNumber}',
+    domains: ['dpd.de', 'dpd.co.uk', 'dpd.com', 'dpd.fr', 'dpdgroup.com'],
+    keywords: ['dpd']
+  },
+  {
+    id: 'gls',
+    name: 'GLS',
+    icon: '🚚',
+    patterns: [
+      { pattern: /^[0-9]{11}$/, confidence: 'low' },
+      { pattern: /^[0-9]{12}$/, confidence: 'low' }
+    ],
+    trackingUrl: 'https://gls-group.com/GROUP/en/parcel-tracking?match={trackingNumber}',
+    domains: ['gls-group.com', 'gls-group.eu', 'gls-us.com'],
+    keywords: ['gls', 'general logistics systems']
+  },
+  {
+    id: 'evri',
+    name: 'Evri (Hermes)',
+    icon: '🚚',
+    patterns: [
+      { pattern: /^H[0-9A-Z]{15}$/, confidence: 'high' },
+      { pattern: /^[0-9]{16}$/, confidence: 'low' }
+    ],
+    trackingUrl: 'https://www.evri.com/track/parcel/{trackingNumber}',
+    domains: ['evri.com', 'myhermes.co.uk', 'myhermes.de'],
+    keywords: ['evri', 'hermes']
+  },
+  {
+    id: 'yodel',
+    name: 'Yodel',
+    icon: '🚚',
+    patterns: [
+      { pattern: /^J{1,2}D[0-9]{16,18}$/, confidence: 'high' }
+    ],
+    trackingUrl: 'https://www.yodel.co.uk/tracking/{trackingNumber}',
+    domains: ['yodel.co.uk'],
+    keywords: ['yodel']
+  },
+  {
+    id: 'colissimo',
+    name: 'Colissimo',
+    icon: '🚚',
+    patterns: [
+      { pattern: /^[0-9][A-Z][0-9]{11}$/, confidence: 'high' }
+    ],
+    trackingUrl: 'https://www.laposte.fr/outils/suivre-vos-envois?code={trackingNumber}',
+    domains: ['colissimo.fr'],
+    keywords: ['colissimo']
+  },
+  {
+    id: 'postnord',
+    name: 'PostNord',
+    icon: '📮',
+    s10Countries: ['SE', 'DK'],
+    patterns: [
+      { pattern: /^00[0-9]{18}$/, confidence: 'low' }
+    ],
+    trackingUrl: 'https://tracking.postnord.com/en/?id={trackingNumber}',
+    domains: ['postnord.com', 'postnord.se', 'postnord.dk'],
+    keywords: ['postnord']
+  },
+  {
+    id: 'sfexpress',
+    name: 'SF Express',
+    icon: '🚚',
+    patterns: [
+      { pattern: /^SF[0-9]{12,13}$/, confidence: 'high' }
+    ],
+    trackingUrl: 'https://www.sf-express.com/chn/en/waybill/waybill-detail/{trackingNumber}',
+    domains: ['sf-express.com', 'sf-international.com'],
+    keywords: ['sf express', 'shunfeng']
+  },
+  {
+    id: 'yunexpress',
+    name: 'YunExpress',
+    icon: '🚚',
+    patterns: [
+      { pattern: /^YT[0-9]{16}$/, confidence: 'high' }
+    ],
+    trackingUrl: 'https://www.yuntrack.com/parcelTracking?id={trackingNumber}',
+    domains: ['yunexpress.com', 'yuntrack.com'],
+    keywords: ['yunexpress', 'yun express']
+  },
+  {
+    id: 'cainiao',
+    name: 'Cainiao',
+    icon: '🚚',
+    patterns: [
+      { pattern: /^LP[0-9]{14,16}$/, confidence: 'high' },
+      { pattern: /^CNG[0-9A-Z]{8,16}$/, confidence: 'medium' }
+    ],
+    trackingUrl: 'https://global.cainiao.com/newDetail.htm?mailNoList={trackingNumber}',
+    domains: ['cainiao.com'],
+    keywords: ['cainiao']
+  },
+  {
+    id: 'jtexpress',
+    name: 'J&T Express',
+    icon: '🚚',
+    patterns: [
+      { pattern: /^JT[0-9]{13}$/, confidence: 'high' },
+      { pattern: /^JP[0-9]{10}$/, confidence: 'medium' }
+    ],
+    // J&T runs a separate site per market; 17TRACK covers all of them
+    trackingUrl: 'https://t.17track.net/en#nums={trackingNumber}',
+    domains: ['jtexpress.com', 'jtexpress.my', 'jtexpress.ph', 'jtexpress.sg', 'jet.co.id'],
+    keywords: ['j&t express', 'j&t']
+  },
+  {
+    id: 'aramex',
+    name: 'Aramex',
+    icon: '🚚',
+    patterns: [
+      { pattern: /^[0-9]{11}$/, confidence: 'low' }
+    ],
+    trackingUrl: 'https://www.aramex.com/us/en/track/results?ShipmentNumber={trackingNumber}',
+    domains: ['aramex.com'],
+    keywords: ['aramex']
+  },
+  {
+    id: 'startrack',
+    name: 'StarTrack',
+    icon: '🚚',
+    patterns: [
+      { pattern: /^[A-Z]{3}[0-9]{7,9}$/, confidence: 'medium' }
+    ],
+    trackingUrl: 'https://startrack.com.au/track/details/{trackingNumber}',
+    domains: ['startrack.com.au'],
+    keywords: ['startrack', 'star track']
+  }
+];
+
+// Every carrier the registry ships with; removing a custom override restores the definition from here
+const SHIPPED_CARRIERS = [...BUILT_IN_CARRIERS, ...POSTAL_CARRIERS, ...REGIONAL_CARRIERS];
+
+const OTHER_CARRIER = { id: 'other', name: 'Other', icon: '📦', patterns: [], s10Countries: [], trackingUrl: null, domains: [], keywords: [] };
+
+export class CarrierRegistry {
+  constructor() {
+    this.config = CARRIER_REGISTRY_CONFIG;
+    this.carriers = new Map();
+    SHIPPED_CARRIERS.forEach(definition => this.register(definition));
+  }
+
+  // Add or replace a carrier definition
+  register(definition) {
+    if (!definition || !/^[a-z0-9_-]+$/.test(definition.id || '')) {
+      throw new Error('Carrier definition needs a lowercase id');
+    }
+    if (definition.id === 'other') {
+      throw new Error('"other" is reserved');
+    }
+
+    const s10Countries = (definition.s10Countries || []).map(code => code.toUpperCase());
+    const patterns = (definition.patterns || []).map(entry => this.normalizePattern(entry));
+    if (s10Countries.length > 0) {
+      patterns.unshift(this.buildS10Pattern(s10Countries));
+    } else if (definition.s10Fallback) {
+      patterns.unshift(this.buildS10Pattern(['[A-Z]{2}']));
+    }
+
+    this.carriers.set(definition.id, {
+      id: definition.id,
+      name: definition.name || definition.id,
+      icon: definition.icon || '📦',
+      patterns,
+      s10Countries,
+      s10Fallback: !!definition.s10Fallback,
+      trackingUrl: definition.trackingUrl || null,
+      domains: (definition.domains || []).map(domain => domain.toLowerCase().replace(/^www\./, '')),
+      keywords: definition.keywords || [definition.name ? definition.name.toLowerCase() : definition.id],
+      custom: !!definition.custom
+    });
+
+    return this;
+  }
+
+  unregister(carrierId) {
+    return this.carriers.delete(carrierId);
+  }
+
+  // Accepts { pattern: RegExp | string, confidence, checksum }
+  normalizePattern(entry) {
+    const pattern = entry.pattern instanceof RegExp ? entry.pattern : new RegExp(entry.pattern);
+    return {
+      pattern,
+      confidence: entry.confidence || 'medium',
+      checksum: typeof entry.checksum === 'function' ? entry.checksum : null
+    };
+  }
+
+  // UPU S10 item numbers (AA123456789CC) whose suffix is one of the carrier's countries
+  buildS10Pattern(countryCodes) {
+    return {
+      pattern: new RegExp(`^[A-Z]{2}[0-9]{9}(?:${countryCodes.join('|')})$`),
+      confidence: 'high',
+      checksum: validateS10
+    };
+  }
+
+  // National post for an S10 country suffix, or null when no carrier claims it
+  getCarrierForS10Country(countryCode) {
+    const code = (countryCode || '').toUpperCase();
+    for (const carrier of this.carriers.values()) {
+      if (carrier.s10Countries.includes(code)) return carrier;
+    }
+    return null;
+  }
+
+  has(carrierId) {
+    return this.carriers.has(carrierId);
+  }
+
+  get(carrierId) {
+    return this.carriers.get(carrierId) || (carrierId === 'other' ? OTHER_CARRIER : null);
+  }
+
+  // Registered carriers plus the "other" fallback, in registration order
+  getAll({ includeOther = true } = {}) {
+    const carriers = Array.from(this.carriers.values());
+    return includeOther ? [...carriers, OTHER_CARRIER] : carriers;
+  }
+
+  getDisplayName(carrierId) {
+    const carrier = this.get(carrierId);
+    return carrier ? carrier.name : carrierId;
+  }
+
+  getIcon(carrierId) {
+    const carrier = this.get(carrierId);
+    return carrier ? carrier.icon : '📦';
+  }
+
+  getTrackingUrl(carrierId, trackingNumber) {
+    const carrier = this.get((carrierId || '').toLowerCase());
+    if (!carrier || !carrier.trackingUrl) return null;
+    return carrier.trackingUrl.replace('{trackingNumber}', encodeURIComponent(trackingNumber));
+  }
+
+  // { 'ups.com': 'ups', ... }
+  getWebsiteMappings() {
+    const mappings = {};
+    this.carriers.forEach(carrier => {
+      carrier.domains.forEach(domain => {
+        mappings[domain] = carrier.id;
+      });
+    });
+    return mappings;
+  }
+
+  // { ups: ['ups', 'united parcel service'], ... } for injected DOM scans
+  getKeywordMap() {
+    const keywords = {};
+    this.carriers.forEach(carrier => {
+      keywords[carrier.id] = carrier.keywords;
+    });
+    return keywords;
+  }
+
+  // Carrier id for a free-form name such as "United Parcel Service" or "DHL Express", optionally with its website
+  findByName(name, url = null) {
+    if (url) {
+      try {
+        const mappings = this.getWebsiteMappings();
+        const parts = new URL(url).hostname.split('.');
+        // tools.usps.com -> usps.com
+        for (let i = 0; i < parts.length - 1; i++) {
+          const byDomain = mappings[parts.slice(i).join('.')];
+          if (byDomain) return byDomain;
+        }
+      } catch (error) {
+        // Not a URL, fall through to the name
+      }
+    }
+
+    const normalized = (name || '').trim().toLowerCase();
+    if (!normalized) return null;
+
+    const carriers = this.getAll({ includeOther: false });
+    const exact = carriers.find(carrier =>
+      carrier.id === normalized || carrier.name.toLowerCase() === normalized || carrier.keywords.includes(normalized)
+    );
+    if (exact) return exact.id;
+
+    // Longest keyword first so "amazon logistics" is not claimed by a shorter keyword of another carrier
+    const candidates = carriers
+      .flatMap(carrier => carrier.keywords.map(keyword => ({ id: carrier.id, keyword })))
+      .sort((a, b) => b.keyword.length - a.keyword.length);
+    const partial = candidates.find(({ keyword }) =>
+      new RegExp(`\\b${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(normalized)
+    );
+    return partial ? partial.id : null;
+  }
+
+  // Unanchored global patterns for scanning free page text
+  getScanPatterns() {
+    const scanPatterns = [];
+    this.carriers.forEach(carrier => {
+      carrier.patterns.forEach(({ pattern }) => {
+        const source = pattern.source.replace(/^\^/, '').replace(/\$$/, '');
+        scanPatterns.push({ carrier: carrier.id, pattern: new RegExp(`\\b${source}\\b`, 'g') });
+      });
+    });
+    return scanPatterns;
+  }
+
+  // All pattern matches, best first, with check digits applied
+  matchPatterns(trackingNumber) {
+    const number = (trackingNumber || '').trim();
+    const results = [];
+
+    this.carriers.forEach(carrier => {
+      if (carrier.s10Fallback && this.getCarrierForS10Country(number.slice(-2))) return;
+      carrier.patterns.forEach(({ pattern, confidence, checksum }) => {
+        if (pattern.test(number)) {
+          const checksumValid = checksum ? checksum(number) : null;
+          results.push({
+            carrier: carrier.id,
+            confidence: this.applyChecksumResult(confidence, checksumValid),
+            // Confidence the pattern was declared with, before the check digit
+            patternConfidence: confidence,
+            pattern: pattern.toString(),
+            checksumValid
+          });
+        }
+      });
+    });
+
+    // Sort by confidence, then prefer a passed checksum over none over a failed one
+    const confidenceOrder = this.config.confidenceOrder;
+    const checksumOrder = { true: 2, null: 1, false: 0 };
+    results.sort((a, b) =>
+      (confidenceOrder[b.confidence] - confidenceOrder[a.confidence]) ||
+      (checksumOrder[b.checksumValid] - checksumOrder[a.checksumValid])
+    );
+
+    return results;
+  }
+
+  // A passed check digit upgrades confidence one level, a failed one drops it to low
+  applyChecksumResult(confidence, checksumValid) {
+    if (checksumValid === null) return confidence;
+    if (!checksumValid) return 'low';
+    return confidence === 'low' ? 'medium' : 'high';
+  }
+
+  // Load carriers other teams saved with saveCustomCarrier()
+  async loadCustomCarriers() {
+    try {
+      const key = this.config.storageKeys.customCarriers;
+      const result = await chrome.storage.local.get([key]);
+      (result[key] || []).forEach(definition => {
+        try {
+          this.register({ ...definition, custom: true });
+        } catch (error) {
+          console.error('Skipping invalid custom carrier:', definition && definition.id, error.message);
+        }
+      });
+    } catch (error) {
+      console.error('Error loading custom carriers:', error);
+    }
+    return this;
+  }
+
+  // Persist a carrier so every extension context picks it up. Patterns must be strings here.
+  async saveCustomCarrier(definition) {
+    this.register({ ...definition, custom: true });
+
+    const key = this.config.storageKeys.customCarriers;
+    const result = await chrome.storage.local.get([key]);
+    const customCarriers = (result[key] || []).filter(carrier => carrier.id !== definition.id);
+    customCarriers.push({
+      ...definition,
+      patterns: (definition.patterns || []).map(({ pattern, confidence }) => ({
+        pattern: pattern instanceof RegExp ? pattern.source : pattern,
+        confidence
+      }))
+    });
+    await chrome.storage.local.set({ [key]: customCarriers });
+  }
+
+  async removeCustomCarrier(carrierId) {
+    const key = this.config.storageKeys.customCarriers;
+    const result = await chrome.storage.local.get([key]);
+    await chrome.storage.local.set({ [key]: (result[key] || []).filter(carrier => carrier.id !== carrierId) });
+
+    const carrier = this.carriers.get(carrierId);
+    if (carrier && carrier.custom) {
+      this.unregister(carrierId);
+      const builtIn = SHIPPED_CARRIERS.find(definition => definition.id === carrierId);
+      if (builtIn) this.register(builtIn);
+    }
+  }
+}
+
+export const carrierRegistry = new CarrierRegistry();
+export default carrierRegistry;
@@ -0,0 +1,161 @@
+// Carrier Scoring Model for TrackHub
+// Turns detection signals into a 0-1 score per carrier, with the reasons behind it
+
+export const SCORING_CONFIG = {
+  // Pattern strength by the confidence the registry declares for it
+  patternStrength: { high: 0.6, medium: 0.4, low: 0.15 },
+  // Up to this much extra for fixed characters in the pattern (1Z, TBA, SF) over bare digit runs
+  specificityBonus: 0.15,
+  checksumPassBonus: 0.25,
+  // A failed check digit keeps only this share of the pattern's strength
+  checksumFailFactor: 0.2,
+  websiteStrength: 0.4,
+  // Page evidence near the number; "Carrier: UPS" style labels count the most
+  domStrength: { dom_logo: 0.3, dom: 0.2, labelled: 0.45 },
+  learnedStrength: 0.7,
+  learnedPerRepeat: 0.05,
+  learnedMax: 0.95,
+  // Scores map back onto the high/medium/low labels the UI already understands
+  confidenceThresholds: { high: 0.75, medium: 0.45 },
+  // Top two carriers closer than this are a close call
+  ambiguityMargin: 0.1
+};
+
+export class CarrierScoringModel {
+  constructor(config = SCORING_CONFIG) {
+    this.config = config;
+  }
+
+  // One entry per carrier, best first: { carrier, score, confidence, source, explanation }
+  rankCarriers(results) {
+    const byCarrier = new Map();
+    results.forEach(result => {
+      if (!byCarrier.has(result.carrier)) byCarrier.set(result.carrier, []);
+      byCarrier.get(result.carrier).push(this.scoreSignal(result));
+    });
+
+    const ranked = [];
+    byCarrier.forEach((signals, carrier) => {
+      // Several patterns or keywords for one carrier are one piece of evidence, keep the strongest per source
+      const strongest = new Map();
+      signals.forEach(signal => {
+        const key = signal.source === 'dom_logo' ? 'dom' : signal.source;
+        const current = strongest.get(key);
+        if (!current || signal.strength > current.strength) strongest.set(key, signal);
+      });
+
+      const explanation = [...strongest.values()].sort((a, b) => b.strength - a.strength);
+      const score = this.combine(explanation.map(signal => signal.strength));
+
+      ranked.push({
+        carrier,
+        score,
+        confidence: this.toConfidence(score),
+        source: explanation[0].source,
+        explanation
+      });
+    });
+
+    return ranked.sort((a, b) => b.score - a.score);
+  }
+
+  // Independent evidence: 1 - (1 - a)(1 - b)... so every signal can only raise the score
+  combine(strengths) {
+    const miss = strengths.reduce((product, strength) => product * (1 - strength), 1);
+    return this.round(1 - miss);
+  }
+
+  // { source, strength, reason } for a single detection result
+  scoreSignal(result) {
+    switch (result.source) {
+      case 'pattern':
+        return this.scorePattern(result);
+
+      case 'website':
+        return {
+          source: 'website',
+          strength: this.config.websiteStrength,
+          reason: `Page is on ${result.domain || 'a carrier site'}`
+        };
+
+      case 'dom':
+      case 'dom_logo': {
+        const base = result.label ? this.config.domStrength.labelled : this.config.domStrength[result.source];
+        const proximity = typeof result.proximity === 'number' ? result.proximity : 1;
+        const where = result.source === 'dom_logo' ? 'logo' : result.label ? `"${result.label}" label` : 'nearby text';
+        const evidence = result.evidence ? ` in <${result.evidence.tag}${result.evidence.id ? `#${result.evidence.id}` : ''}>` : '';
+        return {
+          source: result.source,
+          strength: this.round(base * proximity),
+          reason: `"${result.keyword || result.carrier}" from ${where}${evidence}${proximity < 1 ? ` (${Math.round(proximity * 100)}% proximity)` : ''}`
+        };
+      }
+
+      case 'learned': {
+        const count = (result.learnedFrom && result.learnedFrom.count) || 1;
+        const domain = result.learnedFrom && result.learnedFrom.domain;
+        return {
+          source: 'learned',
+          strength: Math.min(this.config.learnedMax, this.round(this.config.learnedStrength + (count - 1) * this.config.learnedPerRepeat)),
+          reason: `You chose this carrier ${count}× for similar numbers${domain && domain !== '*' ? ` on ${domain}` : ''}`
+        };
+      }
+
+      default:
+        return { source: result.source || 'unknown', strength: 0, reason: 'Unrecognized signal' };
+    }
+  }
+
+  scorePattern(result) {
+    const declared = result.patternConfidence || result.confidence;
+    const patternSource = result.pattern ? this.getPatternSource(result.pattern) : '';
+    const specificity = this.getSpecificity(patternSource);
+    let strength = this.config.patternStrength[declared] + specificity * this.config.specificityBonus;
+    const reasons = [`Matches ${patternSource || 'carrier format'} (${declared})`];
+
+    if (result.checksumValid === true) {
+      strength += this.config.checksumPassBonus;
+      reasons.push('check digit valid');
+    } else if (result.checksumValid === false) {
+      strength *= this.config.checksumFailFactor;
+      reasons.push('check digit wrong');
+    }
+
+    return { source: 'pattern', strength: this.round(Math.min(strength, 0.95)), reason: reasons.join(', ') };
+  }
+
+  // Share of fixed characters in a pattern, 3 or more counts as fully specific
+  getSpecificity(patternSource) {
+    const literals = patternSource
+      .replace(/\\./g, '')
+      .replace(/\[[^\]]*\]/g, '')
+      .replace(/\{[^}]*\}/g, '')
+      .replace(/\(\?:/g, '')
+      .replace(/[\^$()|?*+]/g, '');
+    return Math.min(literals.length / 3, 1);
+  }
+
+  // '/^1Z[0-9A-Z]{16}$/' -> '^1Z[0-9A-Z]{16}$'
+  getPatternSource(pattern) {
+    return pattern.slice(pattern.indexOf('/') + 1, pattern.lastIndexOf('/'));
+  }
+
+  toConfidence(score) {
+    const { high, medium } = this.config.confidenceThresholds;
+    if (score >= high) return 'high';
+    if (score >= medium) return 'medium';
+    return 'low';
+  }
+
+  isAmbiguous(ranked) {
+    if (ranked.length < 2) return false;
+    return ranked[0].score - ranked[1].score < this.config.ambiguityMargin;
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+export const carrierScoring = new CarrierScoringModel();
+export default carrierScoring;
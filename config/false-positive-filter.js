@@ -0,0 +1,118 @@
+// False-Positive Filter for TrackHub
+// Decides whether a token found on a page is worth offering as a tracking number
+
+import { isLuhnValid, validateIsbn10, validateIsbn13, validateIban } from './tracking-checksums.js';
+
+export const FALSE_POSITIVE_CONFIG = {
+  // How much text before the token is read for a label
+  labelWindow: 40,
+  // Letter/digit switches per character; 1Z999AA1012... switches rarely, SKUs and hashes constantly
+  maxClassSwitchRatio: 0.35,
+  // Shannon entropy (bits per character) below this is 00000000, 12121212...
+  minEntropy: 1.5
+};
+
+// Card brands by leading digits: Visa, Mastercard, Amex, Discover, JCB, Diners
+const CARD_LENGTHS = new Set([13, 15, 16, 19]);
+const CARD_PREFIX = /^(4|5[1-5]|2(2[2-9][1-9]|[3-6][0-9]{2}|7[01][0-9]|720)|3[47]|6011|65|64[4-9]|35|30[0-5]|36|38)/;
+
+// "Tracking ID:", "AWB #", "Sendungsnummer" right before the token
+const TRACKING_LABEL = /\b(tracking|track|shipment|shipping|consignment|parcel|package|waybill|awb|airway bill|sendungsnummer|suivi|envío|spedizione)(?:\s*(?:id|number|no|nr|code|#))?[^A-Za-z0-9]*$/i;
+const NON_TRACKING_LABEL = /\b(sku|isbn|ean|upc|asin|model|part|serial|s\/n|order|invoice|iban|account|acct|card|ref(?:erence)?|id|hash|commit|version|build|license|key|token|phone|tel|fax)[^A-Za-z0-9]*$/i;
+
+// Payment card and bank account numbers are never highlighted or stored, whatever else they match:
+// a card number that also passes a carrier check digit is still a card number
+export function isSensitiveNumber(token) {
+  const compact = (token || '').replace(/[\s-]+/g, '').toUpperCase();
+  if (/^[0-9]+$/.test(compact) && CARD_LENGTHS.has(compact.length) && CARD_PREFIX.test(compact) && isLuhnValid(compact)) {
+    return true;
+  }
+  return validateIban(compact);
+}
+
+export class FalsePositiveFilter {
+  constructor(config = FALSE_POSITIVE_CONFIG) {
+    this.config = config;
+  }
+
+  // { accepted, sensitive, reason } for a token with the page text around it and its registry matches
+  evaluate(token, { before = '', after = '', matches = [] } = {}) {
+    const compact = token.replace(/[\s-]+/g, '');
+
+    if (isSensitiveNumber(compact)) {
+      return this.reject('payment card or bank account number', true);
+    }
+    if (this.isGuidFragment(compact, before, after)) {
+      return this.reject('part of a GUID');
+    }
+
+    const label = before.slice(-this.config.labelWindow);
+    const labelled = TRACKING_LABEL.test(label);
+    const checksumBacked = matches.some(match => match.checksumValid === true);
+    // A valid carrier check digit outweighs everything below, a "Tracking:" label all but the known formats
+    if (checksumBacked) return this.accept('carrier check digit valid');
+
+    if (validateIsbn13(compact) || (compact.length === 10 && validateIsbn10(compact))) {
+      return this.reject('ISBN');
+    }
+    if (/^[A-Z]+$/.test(compact)) {
+      return this.reject('letters only');
+    }
+
+    const nonTrackingLabel = label.match(NON_TRACKING_LABEL);
+    if (nonTrackingLabel && !labelled) {
+      return this.reject(`labelled "${nonTrackingLabel[1]}"`);
+    }
+    if (labelled) return this.accept('labelled as tracking');
+
+    const strongCarrier = matches.some(match => match.confidence === 'high' && match.checksumValid !== false);
+    if (strongCarrier) return this.accept('carrier format');
+
+    if (this.getEntropy(compact) < this.config.minEntropy) {
+      return this.reject('repeated characters');
+    }
+    if (/^[0-9A-F]+$/.test(compact) && /[A-F]/.test(compact) && /[0-9]/.test(compact) && compact.length % 4 === 0) {
+      return this.reject('hex hash');
+    }
+    if (this.getClassSwitchRatio(compact) > this.config.maxClassSwitchRatio) {
+      return this.reject('mixed letters and digits like a SKU');
+    }
+
+    return this.accept('no false-positive signs');
+  }
+
+  // 3F2504E0 in 3F2504E0-4F89-11D3-9A0C-0305E82C3301
+  isGuidFragment(compact, before, after) {
+    if (!/^[0-9A-F]+$/i.test(compact)) return false;
+    return /[0-9A-F]-$/i.test(before) || /^-[0-9A-F]/i.test(after);
+  }
+
+  getClassSwitchRatio(value) {
+    if (value.length < 2) return 0;
+    let switches = 0;
+    for (let i = 1; i < value.length; i++) {
+      if (/[0-9]/.test(value[i]) !== /[0-9]/.test(value[i - 1])) switches++;
+    }
+    return switches / (value.length - 1);
+  }
+
+  getEntropy(value) {
+    const counts = {};
+    for (const char of value) counts[char] = (counts[char] || 0) + 1;
+    return Object.values(counts).reduce((entropy, count) => {
+      const p = count / value.length;
+      return entropy - p * Math.log2(p);
+    }, 0);
+  }
+
+  accept(reason) {
+    return { accepted: true, sensitive: false, reason };
+  }
+
+  reject(reason, sensitive = false) {
+    return { accepted: false, sensitive, reason };
+  }
+}
+
+export const falsePositiveFilter = new FalsePositiveFilter();
+export default falsePositiveFilter;
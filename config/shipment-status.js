@@ -0,0 +1,43 @@
+// Shipment Status for TrackHub
+// One vocabulary for the status strings carriers, backends and users write
+
+export const SHIPMENT_STATUS = {
+  pending: 'pending',
+  inTransit: 'in_transit',
+  outForDelivery: 'out_for_delivery',
+  delivered: 'delivered',
+  exception: 'exception'
+};
+
+// First match wins: "Information received" is not a delivery, nor is "Delivery attempted" or "Out for delivery"
+const STATUS_PATTERNS = [
+  [SHIPMENT_STATUS.pending, / ((shipment )?info(rmation)? received|label created|pre transit) /],
+  [SHIPMENT_STATUS.outForDelivery, / (out for delivery|on vehicle for delivery|with (delivery )?courier|in zustellung) /],
+  [SHIPMENT_STATUS.exception, / (exception|failed|attempted|attempt|undeliverable|not delivered|return(ed)? to sender|refused|lost|damaged|held) /],
+  [SHIPMENT_STATUS.delivered, / (delivered|received|collected|zugestellt|livré) /],
+  [SHIPMENT_STATUS.inTransit, / (transit|shipped|dispatched|departed|arrived|picked up|accepted|on (its|the) way|processed|unterwegs) /]
+];
+
+// Any status string to one of SHIPMENT_STATUS; unknown and empty ones are pending
+export function normalizeStatus(status) {
+  // "InTransit", "OUT_FOR_DELIVERY" and "Out for delivery" all become "out for delivery"
+  const value = (status || '').toString().replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase().replace(/[^a-zà-ÿ]+/g, ' ').trim();
+  const exact = Object.values(SHIPMENT_STATUS).find(known => known.replace(/_/g, ' ') === value);
+  if (exact) return exact;
+
+  const match = STATUS_PATTERNS.find(([, pattern]) => pattern.test(` ${value} `));
+  return match ? match[0] : SHIPMENT_STATUS.pending;
+}
+
+export function isActiveStatus(status) {
+  return normalizeStatus(status) !== SHIPMENT_STATUS.delivered;
+}
+
+// Local midnight of the day an ETA names, or null; new Date('2026-03-10') is UTC midnight, the evening before west of Greenwich
+export function parseLocalDay(value) {
+  if (!value) return null;
+  const dateOnly = String(value).trim().match(/^([0-9]{4})-([0-9]{2})-([0-9]{2})$/);
+  const date = dateOnly ? new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3])) : new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
@@ -0,0 +1,140 @@
+// Site Rules for TrackHub
+// Per-domain detection settings: on/off, highlighting, and where tracking numbers live on the site
+
+export const SITE_RULES_CONFIG = {
+  storageKey: 'trackhub_site_rules',
+  // Applied when no rule matches a site, and to fields a rule leaves out
+  defaultRule: {
+    detect: true,
+    highlight: true,
+    // CSS selector limiting the scan to these elements
+    selector: null,
+    // Regex for tracking numbers on this site; capture group 1 is used when present
+    pattern: null
+  },
+  // Sites full of long IDs that are never shipments, until the user says otherwise
+  builtInRules: {
+    'github.com': { detect: false },
+    'gitlab.com': { detect: false },
+    'bitbucket.org': { detect: false },
+    'docs.google.com': { detect: false },
+    'office.com': { detect: false },
+    // Webmail of work accounts, read in webmail mode (content/webmail.js)
+    'outlook.office.com': { detect: true },
+    'outlook.office365.com': { detect: true }
+  }
+};
+
+export class SiteRuleStore {
+  constructor() {
+    this.config = SITE_RULES_CONFIG;
+  }
+
+  normalizeDomain(domain) {
+    if (!domain) return null;
+    try {
+      const hostname = domain.includes('://') ? new URL(domain).hostname : domain;
+      return hostname.trim().toLowerCase().replace(/^www\./, '') || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // User rules on top of the built-in ones
+  async getRules() {
+    try {
+      const result = await chrome.storage.local.get([this.config.storageKey]);
+      return { ...this.config.builtInRules, ...(result[this.config.storageKey] || {}) };
+    } catch (error) {
+      console.error('Error reading site rules:', error);
+      return { ...this.config.builtInRules };
+    }
+  }
+
+  // Most specific rule wins: shop.example.com, then example.com
+  async getRuleFor(hostname) {
+    const rules = await this.getRules();
+    return this.matchRule(rules, hostname);
+  }
+
+  matchRule(rules, hostname) {
+    const domain = this.normalizeDomain(hostname);
+    const parts = domain ? domain.split('.') : [];
+
+    for (let i = 0; i < parts.length - 1; i++) {
+      const candidate = parts.slice(i).join('.');
+      if (rules[candidate]) {
+        return { ...this.config.defaultRule, ...rules[candidate], domain: candidate };
+      }
+    }
+
+    return { ...this.config.defaultRule, domain: null };
+  }
+
+  // Throws with a readable message when the selector or regex would not work on the page
+  validateRule(rule) {
+    if (rule.selector) {
+      try {
+        document.createDocumentFragment().querySelector(rule.selector);
+      } catch (error) {
+        throw new Error(`Invalid CSS selector: ${rule.selector}`);
+      }
+    }
+
+    if (rule.pattern) {
+      try {
+        new RegExp(rule.pattern, 'g');
+      } catch (error) {
+        throw new Error(`Invalid regex: ${rule.pattern}`);
+      }
+    }
+  }
+
+  async saveRule(domain, rule) {
+    const normalizedDomain = this.normalizeDomain(domain);
+    if (!normalizedDomain) {
+      throw new Error('A site domain is required');
+    }
+
+    const cleanRule = {
+      detect: rule.detect !== false,
+      highlight: rule.highlight !== false,
+      selector: (rule.selector || '').trim() || null,
+      pattern: (rule.pattern || '').trim() || null
+    };
+    this.validateRule(cleanRule);
+
+    const result = await chrome.storage.local.get([this.config.storageKey]);
+    const rules = result[this.config.storageKey] || {};
+    rules[normalizedDomain] = cleanRule;
+    await chrome.storage.local.set({ [this.config.storageKey]: rules });
+    return { ...cleanRule, domain: normalizedDomain };
+  }
+
+  // Built-in rules come back when the user's override is removed
+  async removeRule(domain) {
+    const result = await chrome.storage.local.get([this.config.storageKey]);
+    const rules = result[this.config.storageKey] || {};
+    delete rules[this.normalizeDomain(domain)];
+    await chrome.storage.local.set({ [this.config.storageKey]: rules });
+  }
+
+  // Flat list for the settings view, user rules marked as such
+  async listRules() {
+    const result = await chrome.storage.local.get([this.config.storageKey]);
+    const userRules = result[this.config.storageKey] || {};
+    const rules = await this.getRules();
+
+    return Object.entries(rules)
+      .map(([domain, rule]) => ({
+        domain,
+        ...this.config.defaultRule,
+        ...rule,
+        builtIn: !userRules[domain]
+      }))
+      .sort((a, b) => a.domain.localeCompare(b.domain));
+  }
+}
+
+export const siteRules = new SiteRuleStore();
+export default siteRules;
@@ -0,0 +1,116 @@
+// Status Notifications for TrackHub
+// Which status changes are worth a desktop notification, and for which items
+
+import { SHIPMENT_STATUS, normalizeStatus, parseLocalDay } from './shipment-status.js';
+
+export const STATUS_NOTIFICATION_CONFIG = {
+  // Global on/off per event; items may override single events in item.statusNotifications
+  storageKey: 'statusNotificationSettings',
+  // Open notifications by id, so button clicks still resolve after the worker restarts
+  targetsKey: 'statusNotificationTargets',
+  snoozeHours: 24
+};
+
+export const STATUS_EVENTS = {
+  shipped: { label: 'Shipped', title: 'Package Shipped', message: 'is on its way' },
+  out_for_delivery: { label: 'Out for delivery', title: 'Out for Delivery', message: 'is out for delivery today' },
+  delivered: { label: 'Delivered', title: 'Package Delivered', message: 'was delivered' },
+  exception: { label: 'Delivery problem', title: 'Delivery Problem', message: 'has a delivery exception' },
+  delayed: { label: 'Delivery date moved later', title: 'Delivery Delayed', message: 'is now expected' }
+};
+
+// Chrome shows at most two buttons; clicking the notification itself also opens the tracking page
+export const STATUS_NOTIFICATION_ACTIONS = {
+  open: 'Open tracking page',
+  markReceived: 'Mark received',
+  snooze: 'Snooze'
+};
+
+export class StatusNotifier {
+  constructor(config = STATUS_NOTIFICATION_CONFIG) {
+    this.config = config;
+  }
+
+  async getSettings() {
+    const result = await chrome.storage.local.get([this.config.storageKey]);
+    const defaults = Object.fromEntries(Object.keys(STATUS_EVENTS).map(event => [event, true]));
+    return { ...defaults, ...(result[this.config.storageKey] || {}) };
+  }
+
+  async saveSettings(settings) {
+    await chrome.storage.local.set({ [this.config.storageKey]: settings });
+  }
+
+  // Events for one status change, most important first
+  getEvents(previous, item) {
+    const before = normalizeStatus(previous.status);
+    const after = normalizeStatus(item.status);
+    const events = [];
+
+    if (after !== before) {
+      if (after === SHIPMENT_STATUS.inTransit && before === SHIPMENT_STATUS.pending) events.push('shipped');
+      if (after === SHIPMENT_STATUS.outForDelivery) events.push('out_for_delivery');
+      if (after === SHIPMENT_STATUS.delivered) events.push('delivered');
+      if (after === SHIPMENT_STATUS.exception) events.push('exception');
+    }
+    // Only later dates; an earlier ETA is good news the status events already cover
+    if (after !== SHIPMENT_STATUS.delivered && this.isLaterDate(item.estimatedDelivery, previous.estimatedDelivery)) {
+      events.push('delayed');
+    }
+    return events;
+  }
+
+  // Calendar days, so a new time on the same day is no delay; unreadable dates never are
+  isLaterDate(next, previous) {
+    const nextDay = parseLocalDay(next);
+    const previousDay = parseLocalDay(previous);
+    return Boolean(nextDay && previousDay) && nextDay > previousDay;
+  }
+
+  // Per-item choice wins over the global one; snoozed items stay quiet either way
+  isEnabled(event, item, settings, now = Date.now()) {
+    if (item.notificationsSnoozedUntil && now < item.notificationsSnoozedUntil) return false;
+    const override = item.statusNotifications && item.statusNotifications[event];
+    return typeof override === 'boolean' ? override : settings[event] !== false;
+  }
+
+  // { title, message, actions } for chrome.notifications
+  buildNotification(event, item, carrierName) {
+    const definition = STATUS_EVENTS[event];
+    const what = item.description || `${carrierName} ${item.trackingNumber}`;
+    const day = event === 'delayed' ? parseLocalDay(item.estimatedDelivery) : null;
+    const eta = day ? ` ${day.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })}` : '';
+
+    return {
+      title: definition.title,
+      message: `${what} ${definition.message}${eta}`,
+      actions: event === 'delivered' ? ['open', 'markReceived'] : ['open', 'snooze']
+    };
+  }
+
+  getSnoozeUntil(now = Date.now()) {
+    return now + this.config.snoozeHours * 60 * 60 * 1000;
+  }
+
+  async rememberTarget(notificationId, target) {
+    const result = await chrome.storage.local.get([this.config.targetsKey]);
+    const targets = result[this.config.targetsKey] || {};
+    targets[notificationId] = target;
+    await chrome.storage.local.set({ [this.config.targetsKey]: targets });
+  }
+
+  // Returns and forgets the target of a notification, or null
+  async takeTarget(notificationId) {
+    const result = await chrome.storage.local.get([this.config.targetsKey]);
+    const targets = result[this.config.targetsKey] || {};
+    const target = targets[notificationId] || null;
+    if (target) {
+      delete targets[notificationId];
+      await chrome.storage.local.set({ [this.config.targetsKey]: targets });
+    }
+    return target;
+  }
+}
+
+export const statusNotifier = new StatusNotifier();
+export default statusNotifier;
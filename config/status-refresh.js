@@ -0,0 +1,209 @@
+// Status Refresh for TrackHub
+// Polls a status provider for active shipments on chrome.alarms, more often the closer they are to the door
+
+import { TRACKING_SERVICE_CONFIG } from './tracking-service.js';
+import { SHIPMENT_STATUS, normalizeStatus, parseLocalDay } from './shipment-status.js';
+
+export const STATUS_REFRESH_CONFIG = {
+  alarmName: 'trackhub-status-refresh',
+  // How often the worker wakes up to look for items that are due
+  alarmPeriodMinutes: 15,
+  storageKey: 'trackhub_refresh_state',
+  endpoint: '/api/tracking/status',
+  // Base URL of a backend implementing the endpoint; unset means the tracking backend
+  providerUrlKey: 'statusApiUrl',
+  timeout: 10000,
+  // Minutes between checks by normalized status; delivered items are never checked again
+  intervals: {
+    [SHIPMENT_STATUS.pending]: 360,
+    [SHIPMENT_STATUS.inTransit]: 180,
+    [SHIPMENT_STATUS.outForDelivery]: 30,
+    [SHIPMENT_STATUS.exception]: 120
+  },
+  // Failed checks back off up to this
+  maxIntervalMinutes: 24 * 60,
+  // Requests per carrier per hour, shared by every item of that carrier
+  rateLimits: { usps: 30, ups: 30, fedex: 20, dhl: 20, default: 30 },
+  // Shipments that never moved in this long are left alone
+  maxAgeDays: 60
+};
+
+// GET <endpoint>?trackingNumber=&carrier= on the backend, answering { status, estimatedDelivery, lastUpdate, location }
+export const backendStatusProvider = {
+  id: 'backend',
+
+  async fetchStatus(item, { authToken, config }) {
+    const stored = await chrome.storage.local.get([config.providerUrlKey]);
+    const baseUrl = (stored[config.providerUrlKey] || TRACKING_SERVICE_CONFIG.baseUrl).replace(/\/+$/, '');
+    const query = new URLSearchParams({ trackingNumber: item.trackingNumber, carrier: item.brand || '' });
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), config.timeout);
+    try {
+      const response = await fetch(`${baseUrl}${config.endpoint}?${query}`, {
+        headers: {
+          'Content-Type': 'application/json',
+          ...(authToken && { 'Authorization': `Bearer ${authToken}` }),
+          'X-Extension-Version': chrome.runtime.getManifest().version
+        },
+        signal: controller.signal
+      });
+
+      // Not known to the provider (yet): nothing new, not an error
+      if (response.status === 404) return null;
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      return await response.json();
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+};
+
+export class StatusRefreshScheduler {
+  constructor(config = STATUS_REFRESH_CONFIG) {
+    this.config = config;
+    this.provider = backendStatusProvider;
+    this.getAuthToken = async () => null;
+    this.running = null;
+  }
+
+  // Any object with fetchStatus(item, { authToken, config }) resolving to { status, estimatedDelivery, lastUpdate } or null
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  setAuthTokenProvider(provider) {
+    this.getAuthToken = provider;
+  }
+
+  // Re-creating the alarm would restart its period every time the worker wakes
+  async schedule() {
+    const existing = await chrome.alarms.get(this.config.alarmName);
+    if (!existing) {
+      await chrome.alarms.create(this.config.alarmName, { periodInMinutes: this.config.alarmPeriodMinutes });
+    }
+  }
+
+  // Checks every due item once; resolves to [{ item, previous }] for the items whose status or ETA changed
+  refresh() {
+    if (!this.running) {
+      this.running = this.checkDueItems().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async checkDueItems() {
+    const now = Date.now();
+    const result = await chrome.storage.local.get(['trackingItems', this.config.storageKey]);
+    const state = result[this.config.storageKey] || { items: {}, carriers: {} };
+    const due = (result.trackingItems || [])
+      .filter(item => this.isDue(item, state.items[item.id], now))
+      // Out for delivery first, so a busy carrier's quota goes where it matters
+      .sort((a, b) => this.getIntervalMinutes(a) - this.getIntervalMinutes(b));
+    if (due.length === 0) return [];
+
+    const authToken = await this.getAuthToken();
+    const updates = [];
+    for (const item of due) {
+      const carrier = (item.brand || 'other').toLowerCase();
+      if (!this.takeRateLimitSlot(state, carrier, now)) continue;
+
+      const itemState = state.items[item.id] || { failures: 0 };
+      try {
+        const update = await this.provider.fetchStatus(item, { authToken, config: this.config });
+        itemState.failures = 0;
+        if (update) updates.push({ id: item.id, update });
+      } catch (error) {
+        console.log(`Status refresh failed for ${item.trackingNumber}:`, error.message);
+        itemState.failures++;
+      }
+      itemState.checkedAt = now;
+      state.items[item.id] = itemState;
+    }
+
+    const changes = await this.applyUpdates(updates);
+    // Forget deleted items
+    const ids = new Set((result.trackingItems || []).map(item => item.id));
+    for (const id of Object.keys(state.items)) {
+      if (!ids.has(id)) delete state.items[id];
+    }
+    await chrome.storage.local.set({ [this.config.storageKey]: state });
+    return changes;
+  }
+
+  isDue(item, itemState, now) {
+    if (!item.trackingNumber || normalizeStatus(item.status) === SHIPMENT_STATUS.delivered) return false;
+    const added = Date.parse(item.lastUpdate || item.dateAdded);
+    if (added && now - added > this.config.maxAgeDays * 24 * 60 * 60 * 1000) return false;
+    if (!itemState || !itemState.checkedAt) return true;
+
+    const backoff = 2 ** Math.min(itemState.failures || 0, 6);
+    const minutes = Math.min(this.config.maxIntervalMinutes, this.getIntervalMinutes(item) * backoff);
+    return now - itemState.checkedAt >= minutes * 60 * 1000;
+  }
+
+  getIntervalMinutes(item) {
+    const interval = this.config.intervals[normalizeStatus(item.status)];
+    // Arriving today is as good as out for delivery
+    const day = parseLocalDay(item.estimatedDelivery);
+    if (day && day.toDateString() === new Date().toDateString()) {
+      return Math.min(interval, this.config.intervals[SHIPMENT_STATUS.outForDelivery]);
+    }
+    return interval;
+  }
+
+  // Sliding one-hour window of request times per carrier, kept in storage since the worker does not live that long
+  takeRateLimitSlot(state, carrier, now) {
+    const limit = this.config.rateLimits[carrier] || this.config.rateLimits.default;
+    const recent = (state.carriers[carrier] || []).filter(time => now - time < 60 * 60 * 1000);
+    if (recent.length >= limit) {
+      state.carriers[carrier] = recent;
+      return false;
+    }
+    recent.push(now);
+    state.carriers[carrier] = recent;
+    return true;
+  }
+
+  // Re-reads the items so edits made while the provider was answering are kept
+  async applyUpdates(updates) {
+    if (updates.length === 0) return [];
+    const result = await chrome.storage.local.get(['trackingItems']);
+    const trackingItems = result.trackingItems || [];
+    const changes = [];
+
+    for (const { id, update } of updates) {
+      const index = trackingItems.findIndex(item => item.id === id);
+      if (index === -1) continue;
+
+      const previous = trackingItems[index];
+      const status = update.status ? normalizeStatus(update.status) : normalizeStatus(previous.status);
+      const estimatedDelivery = update.estimatedDelivery || previous.estimatedDelivery || null;
+      if (status === normalizeStatus(previous.status) && estimatedDelivery === (previous.estimatedDelivery || null)) {
+        continue;
+      }
+
+      const item = {
+        ...previous,
+        status,
+        estimatedDelivery,
+        lastUpdate: update.lastUpdate || new Date().toISOString(),
+        ...(update.location && { location: update.location })
+      };
+      trackingItems[index] = item;
+      changes.push({ item, previous });
+    }
+
+    if (changes.length > 0) {
+      await chrome.storage.local.set({ trackingItems });
+    }
+    return changes;
+  }
+}
+
+export const statusRefresh = new StatusRefreshScheduler();
+export default statusRefresh;
@@ -0,0 +1,99 @@
+// Token Classifier for TrackHub
+// Tells tracking numbers apart from merchant order numbers and return authorizations
+
+import { carrierRegistry } from './carrier-registry.js';
+import { isSensitiveNumber } from './false-positive-filter.js';
+
+export const TOKEN_TYPES = {
+  tracking: 'tracking',
+  order: 'order',
+  returnAuthorization: 'return_authorization',
+  // Payment card or IBAN: never stored, never echoed back
+  sensitive: 'sensitive',
+  unknown: 'unknown'
+};
+
+// Merchant order-ID formats. High confidence formats win over carrier patterns,
+// medium ones only when no carrier claims the number with more than low confidence.
+export const MERCHANT_ORDER_FORMATS = [
+  { merchant: 'amazon', name: 'Amazon', pattern: /^[0-9]{3}-[0-9]{7}-[0-9]{7}$/, confidence: 'high' },
+  { merchant: 'amazon', name: 'Amazon', pattern: /^D[0-9]{2}-[0-9]{7}-[0-9]{7}$/, confidence: 'high' },
+  // Amazon order ID with the dashes stripped (the popup normalizes them away)
+  { merchant: 'amazon', name: 'Amazon', pattern: /^[0-9]{17}$/, confidence: 'medium' },
+  { merchant: 'ebay', name: 'eBay', pattern: /^[0-9]{2}-[0-9]{5}-[0-9]{5}$/, confidence: 'high' },
+  { merchant: 'walmart', name: 'Walmart', pattern: /^[0-9]{7}-[0-9]{8}$/, confidence: 'high' },
+  { merchant: 'bestbuy', name: 'Best Buy', pattern: /^BBY01-[0-9]{12}$/, confidence: 'high' },
+  { merchant: 'apple', name: 'Apple', pattern: /^W[0-9]{9,10}$/, confidence: 'medium' },
+  { merchant: 'shopify', name: 'Shopify store', pattern: /^#[0-9]{4,}$/, confidence: 'medium' }
+];
+
+// RMA-1234567, RA#123456
+export const RETURN_AUTHORIZATION_FORMATS = [
+  /^RMA[-#\s]?[0-9A-Z]{4,}$/,
+  /^RA[-#\s]?[0-9]{5,}$/
+];
+
+export class TokenClassifier {
+  constructor(registry = carrierRegistry) {
+    this.registry = registry;
+  }
+
+  // { type, token, confidence, carrier? , merchant?, merchantName? }
+  classify(token) {
+    const value = (token || '').trim().toUpperCase();
+    if (!value) {
+      return { type: TOKEN_TYPES.unknown, token: value, confidence: 'low' };
+    }
+
+    if (isSensitiveNumber(value)) {
+      return { type: TOKEN_TYPES.sensitive, token: '', confidence: 'high' };
+    }
+
+    if (RETURN_AUTHORIZATION_FORMATS.some(pattern => pattern.test(value))) {
+      return { type: TOKEN_TYPES.returnAuthorization, token: value, confidence: 'high' };
+    }
+
+    const order = MERCHANT_ORDER_FORMATS.find(format => format.pattern.test(value));
+    const bestCarrier = this.registry.matchPatterns(value)[0];
+    const carrierIsConfident = bestCarrier && bestCarrier.confidence !== 'low';
+
+    if (order && (order.confidence === 'high' || !carrierIsConfident)) {
+      return {
+        type: TOKEN_TYPES.order,
+        token: value,
+        confidence: order.confidence,
+        merchant: order.merchant,
+        merchantName: order.name
+      };
+    }
+
+    if (bestCarrier) {
+      return {
+        type: TOKEN_TYPES.tracking,
+        token: value,
+        confidence: bestCarrier.confidence,
+        carrier: bestCarrier.carrier
+      };
+    }
+
+    return { type: TOKEN_TYPES.unknown, token: value, confidence: 'low' };
+  }
+
+  // Order numbers, RMAs and card numbers are never stored as shipments
+  isTrackable(token) {
+    const { type } = this.classify(token);
+    return type !== TOKEN_TYPES.order && type !== TOKEN_TYPES.returnAuthorization && type !== TOKEN_TYPES.sensitive;
+  }
+
+  // Linked reference stored on a tracking item: { orderNumber, merchant, merchantName }
+  toOrderReference(classification) {
+    return {
+      orderNumber: classification.token,
+      merchant: classification.merchant,
+      merchantName: classification.merchantName
+    };
+  }
+}
+
+export const tokenClassifier = new TokenClassifier();
+export default tokenClassifier;
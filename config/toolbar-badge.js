@@ -0,0 +1,85 @@
+// Toolbar Badge for TrackHub
+// Count of shipments arriving today on the action icon, red when one of them is in trouble
+
+import { carrierRegistry } from './carrier-registry.js';
+import { SHIPMENT_STATUS, normalizeStatus, parseLocalDay } from './shipment-status.js';
+
+export const BADGE_CONFIG = {
+  color: '#2563eb',
+  exceptionColor: '#dc2626',
+  // Arrivals listed in the tooltip
+  tooltipArrivals: 3,
+  title: 'TrackHub'
+};
+
+export class ToolbarBadge {
+  constructor(config = BADGE_CONFIG, registry = carrierRegistry) {
+    this.config = config;
+    this.registry = registry;
+  }
+
+  // { count, exceptions, arrivals: [{ item, when }] } with arrivals soonest first
+  summarize(items, now = new Date()) {
+    const today = this.getDay(now);
+    let count = 0;
+    let exceptions = 0;
+    const arrivals = [];
+
+    for (const item of items) {
+      const status = normalizeStatus(item.status);
+      if (status === SHIPMENT_STATUS.delivered) continue;
+      if (status === SHIPMENT_STATUS.exception) exceptions++;
+
+      const etaDay = parseLocalDay(item.estimatedDelivery);
+      const day = etaDay ? this.getDay(etaDay) : null;
+      const arrivingToday = status === SHIPMENT_STATUS.outForDelivery || day === today;
+      if (arrivingToday) count++;
+      // Past ETAs that never turned into a delivery say nothing about when it comes
+      if (arrivingToday || (day && day > today)) {
+        arrivals.push({ item, when: arrivingToday ? today : day });
+      }
+    }
+
+    arrivals.sort((a, b) => a.when.localeCompare(b.when));
+    return { count, exceptions, arrivals };
+  }
+
+  async render(items) {
+    const { count, exceptions, arrivals } = this.summarize(items);
+    // An exception with nothing arriving today still deserves a mark
+    const text = count > 0 ? String(count) : (exceptions > 0 ? '!' : '');
+
+    await chrome.action.setBadgeText({ text });
+    await chrome.action.setBadgeBackgroundColor({ color: exceptions > 0 ? this.config.exceptionColor : this.config.color });
+    await chrome.action.setTitle({ title: this.buildTitle(count, exceptions, arrivals) });
+  }
+
+  buildTitle(count, exceptions, arrivals) {
+    const lines = [this.config.title];
+    if (count > 0) lines.push(`${count} arriving today`);
+    if (exceptions > 0) lines.push(`${exceptions} with a delivery problem`);
+
+    const today = this.getDay(new Date());
+    for (const { item, when } of arrivals.slice(0, this.config.tooltipArrivals)) {
+      lines.push(`${when === today ? 'Today' : this.formatDay(when)}: ${this.getLabel(item)}`);
+    }
+    return lines.join('\n');
+  }
+
+  getLabel(item) {
+    return item.description || `${this.registry.getDisplayName((item.brand || '').toLowerCase())} ${item.trackingNumber}`;
+  }
+
+  // Local calendar day as YYYY-MM-DD, so "today" follows the user's clock
+  getDay(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  formatDay(day) {
+    return parseLocalDay(day).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+  }
+}
+
+export const toolbarBadge = new ToolbarBadge();
+export default toolbarBadge;
@@ -1,97 +1,32 @@
 // Tracking State Manager for TrackHub
 // Handles editable/locked states and carrier detection
 
+import { carrierDetection } from './carrier-detection.js';
+
 export class TrackingStateManager {
-  constructor() {
+  constructor(detection = carrierDetection) {
     this.editingItems = new Set(); // Track which items are being edited
-    this.carrierPatterns = this.initializeCarrierPatterns();
-  }
-
-  // Initialize comprehensive carrier detection patterns
-  initializeCarrierPatterns() {
-    return {
-      ups: [
-        { pattern: /^1Z[0-9A-Z]{16}$/, confidence: 'high' },
-        { pattern: /^[0-9]{10,}$/, confidence: 'medium' },
-        { pattern: /^T[0-9]{10}$/, confidence: 'high' }, // UPS Ground
-        { pattern: /^1Z[A-Z0-9]{6}[0-9]{2}[A-Z0-9]{8}$/, confidence: 'high' }
-      ],
-      fedex: [
-        { pattern: /^[0-9]{12}$/, confidence: 'high' },
-        { pattern: /^[0-9]{14}$/, confidence: 'high' },
-        { pattern: /^[0-9]{15}$/, confidence: 'high' },
-        { pattern: /^[0-9]{20}$/, confidence: 'high' },
-        { pattern: /^[0-9]{22}$/, confidence: 'high' }
-      ],
-      usps: [
-        { pattern: /^[A-Z]{2}[0-9]{9}[A-Z]{2}$/, confidence: 'high' },
-        { pattern: /^[0-9]{4}\s[0-9]{4}\s[0-9]{4}\s[0-9]{4}$/, confidence: 'high' },
-        { pattern: /^[0-9]{20}$/, confidence: 'medium' },
-        { pattern: /^[0-9]{22}$/, confidence: 'medium' },
-        { pattern: /^[0-9]{26}$/, confidence: 'medium' }
-      ],
-      dhl: [
-        { pattern: /^[0-9]{10,11}$/, confidence: 'medium' },
-        { pattern: /^[0-9]{12}$/, confidence: 'medium' },
-        { pattern: /^[0-9]{14}$/, confidence: 'medium' },
-        { pattern: /^[0-9]{16}$/, confidence: 'medium' }
-      ],
-      amazon: [
-        { pattern: /^TBA[0-9]{10}$/, confidence: 'high' },
-        { pattern: /^TBA[0-9]{12}$/, confidence: 'high' },
-        { pattern: /^[0-9]{3}-[0-9]{7}-[0-9]{7}$/, confidence: 'high' }
-      ],
-      ontrac: [
-        { pattern: /^[0-9]{12}$/, confidence: 'medium' },
-        { pattern: /^[0-9]{14}$/, confidence: 'medium' }
-      ],
-      lasership: [
-        { pattern: /^[0-9]{12}$/, confidence: 'medium' },
-        { pattern: /^[0-9]{14}$/, confidence: 'medium' }
-      ]
-    };
+    this.detection = detection;
+    this.registry = detection.registry;
   }
 
-  // Enhanced carrier detection with confidence levels
+  // Carrier detection with checksums, via the shared registry
   detectCarrier(trackingNumber) {
-    const number = trackingNumber.trim();
-    const results = [];
-
-    // Check each carrier's patterns
-    Object.entries(this.carrierPatterns).forEach(([carrier, patterns]) => {
-      patterns.forEach(({ pattern, confidence }) => {
-        if (pattern.test(number)) {
-          results.push({
-            carrier,
-            confidence,
-            pattern: pattern.toString()
-          });
-        }
-      });
-    });
-
-    // Sort by confidence (high > medium > low)
-    results.sort((a, b) => {
-      const confidenceOrder = { high: 3, medium: 2, low: 1 };
-      return confidenceOrder[b.confidence] - confidenceOrder[a.confidence];
-    });
+    return this.detectCarrierCandidates(trackingNumber).carrier;
+  }
 
-    // Return the highest confidence match
-    return results.length > 0 ? results[0].carrier : 'other';
+  // Ranked candidates: { carrier, confidence, alternatives, ambiguous }
+  detectCarrierCandidates(trackingNumber) {
+    return this.detection.rankCarriersFromPattern(trackingNumber);
   }
 
   // Get all available carriers for selection
   getAvailableCarriers() {
-    return [
-      { value: 'ups', label: 'UPS', icon: '🚚' },
-      { value: 'fedex', label: 'FedEx', icon: '📦' },
-      { value: 'usps', label: 'USPS', icon: '📮' },
-      { value: 'dhl', label: 'DHL', icon: '🌍' },
-      { value: 'amazon', label: 'Amazon', icon: '📱' },
-      { value: 'ontrac', label: 'OnTrac', icon: '🚛' },
-      { value: 'lasership', label: 'LaserShip', icon: '🚚' },
-      { value: 'other', label: 'Other', icon: '📦' }
-    ];
+    return this.registry.getAll().map(carrier => ({
+      value: carrier.id,
+      label: carrier.name,
+      icon: carrier.icon
+    }));
   }
 
   // Check if an item is in editing state
@@ -141,6 +76,18 @@ export class TrackingStateManager {
       return { valid: false, error: 'Invalid characters in tracking number' };
     }
 
+    // Order numbers belong in the item's orderReference, not in the tracking number
+    const classification = this.detection.classifyToken(trimmed);
+    if (classification.type === 'order') {
+      return { valid: false, error: `${classification.merchantName} order number, not a tracking number` };
+    }
+    if (classification.type === 'return_authorization') {
+      return { valid: false, error: 'Return authorization, not a tracking number' };
+    }
+    if (classification.type === 'sensitive') {
+      return { valid: false, error: 'Looks like a payment card or bank account number, not a tracking number' };
+    }
+
     return { valid: true };
   }
 
@@ -203,44 +150,34 @@ export class TrackingStateManager {
 
   // Auto-detect carrier and suggest to user
   suggestCarrier(trackingNumber) {
-    const detectedCarrier = this.detectCarrier(trackingNumber);
+    const ranked = this.detectCarrierCandidates(trackingNumber);
     const availableCarriers = this.getAvailableCarriers();
-    const carrierInfo = availableCarriers.find(c => c.value === detectedCarrier);
+    const carrierInfo = availableCarriers.find(c => c.value === ranked.carrier);
 
     return {
-      suggested: detectedCarrier,
-      confidence: this.getCarrierConfidence(trackingNumber, detectedCarrier),
-      carrierInfo: carrierInfo || { value: 'other', label: 'Other', icon: '📦' }
+      suggested: ranked.carrier,
+      confidence: ranked.confidence,
+      // 0-1 score and the signals that produced it
+      score: ranked.score,
+      explanation: ranked.explanation,
+      carrierInfo: carrierInfo || { value: 'other', label: 'Other', icon: '📦' },
+      alternatives: ranked.alternatives.map(alternative => ({
+        ...alternative,
+        carrierInfo: availableCarriers.find(c => c.value === alternative.carrier)
+      })),
+      ambiguous: ranked.ambiguous
     };
   }
 
   // Get confidence level for carrier detection
   getCarrierConfidence(trackingNumber, carrier) {
-    const patterns = this.carrierPatterns[carrier] || [];
-    const number = trackingNumber.trim();
-
-    for (const { pattern, confidence } of patterns) {
-      if (pattern.test(number)) {
-        return confidence;
-      }
-    }
-
-    return 'low';
+    const match = this.registry.matchPatterns(trackingNumber).find(result => result.carrier === carrier);
+    return match ? match.confidence : 'low';
   }
 
   // Get tracking URL for a carrier
   getTrackingUrl(brand, trackingNumber) {
-    const urls = {
-      'ups': `https://www.ups.com/track?trackingNumber=${trackingNumber}`,
-      'fedex': `https://www.fedex.com/fedextrack/?trknbr=${trackingNumber}`,
-      'usps': `https://tools.usps.com/go/TrackConfirmAction?qtc_tLabels1=${trackingNumber}`,
-      'dhl': `https://www.dhl.com/tracking?trackingNumber=${trackingNumber}`,
-      'amazon': `https://www.amazon.com/progress-tracker/package/${trackingNumber}`,
-      'ontrac': `https://www.ontrac.com/tracking?trackingNumber=${trackingNumber}`,
-      'lasership': `https://www.lasership.com/track/${trackingNumber}`,
-      'other': null
-    };
-    return urls[brand.toLowerCase()] || null;
+    return this.registry.getTrackingUrl(brand, trackingNumber);
   }
 
   // Format tracking number for display
@@ -0,0 +1,59 @@
+// Trusted Senders for TrackHub
+// Shipping emails from these domains are imported without asking (webmail mode)
+
+export const TRUSTED_SENDERS_CONFIG = {
+  storageKey: 'trackhub_trusted_senders'
+};
+
+export class TrustedSenderStore {
+  constructor() {
+    this.config = TRUSTED_SENDERS_CONFIG;
+  }
+
+  normalizeDomain(domain) {
+    const normalized = (domain || '').trim().toLowerCase().replace(/^.*@/, '').replace(/^www\./, '');
+    return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(normalized) ? normalized : null;
+  }
+
+  async list() {
+    try {
+      const result = await chrome.storage.local.get([this.config.storageKey]);
+      return result[this.config.storageKey] || [];
+    } catch (error) {
+      console.error('Error reading trusted senders:', error);
+      return [];
+    }
+  }
+
+  async add(domain) {
+    const normalized = this.normalizeDomain(domain);
+    if (!normalized) {
+      throw new Error(`Not a sender domain: ${domain}`);
+    }
+
+    const domains = await this.list();
+    if (!domains.includes(normalized)) {
+      domains.push(normalized);
+      domains.sort();
+      await chrome.storage.local.set({ [this.config.storageKey]: domains });
+    }
+    return normalized;
+  }
+
+  async remove(domain) {
+    const normalized = this.normalizeDomain(domain);
+    const domains = (await this.list()).filter(existing => existing !== normalized);
+    await chrome.storage.local.set({ [this.config.storageKey]: domains });
+  }
+
+  // Trusting amazon.com covers shipment-tracking@shipment-tracking.amazon.com too
+  async isTrusted(senderDomain) {
+    const normalized = this.normalizeDomain(senderDomain);
+    if (!normalized) return false;
+    const domains = await this.list();
+    return domains.some(domain => normalized === domain || normalized.endsWith(`.${domain}`));
+  }
+}
+
+export const trustedSenders = new TrustedSenderStore();
+export default trustedSenders;
@@ -1,8 +1,26 @@
 // TrackHub Chrome Extension - Content Script
+
+// When the same number turns up more than once, the find that knows most about it wins
+const SOURCE_RANK = {
+    structured_data: 3,
+    merchant_page: 2,
+    site_rule: 1,
+    pattern: 0
+};
+
+// Any run of 8-20 capitals and digits is worth a low-confidence look even if no carrier claims it
+const GENERIC_TRACKING_PATTERN = /^[A-Z0-9]{8,20}$/;
+
 class TrackHubContent {
     constructor() {
         this.trackingNumbers = [];
         this.isInitialized = false;
+        // Elements added or changed since the last rescan, scanned together once the page settles
+        this.pendingScanRoots = new Set();
+        this.rescanTimer = null;
+        this.rescanDelay = 500;
+        // Numbers already sent from the "Add all detected" panel
+        this.addedNumbers = new Set();
         this.init();
     }
 
@@ -23,15 +41,36 @@ class TrackHubContent {
             const settings = await this.getSettings();
             if (!settings.autoDetectTracking) return;
 
-            // Scan page for tracking numbers
-            await this.scanPageForTrackingNumbers();
-            
-            // Add visual indicators for found tracking numbers
-            this.addTrackingIndicators();
+            // Per-site rules can turn detection off here or narrow where it looks
+            this.siteRule = await this.loadSiteRule();
+            this.watchSiteRules();
+            if (!this.siteRule.detect) return;
+
+            // Page messages (remove highlights, rescan)
+            this.setupMessageListener();
+
+            this.highlighter = await this.loadHighlighter();
+
+            // Gmail / Outlook: only the open email is scanned, see checkOpenEmail
+            this.webmail = await this.loadWebmailReader();
+            if (this.webmail) {
+                await this.checkOpenEmail();
+            } else {
+                // Scan page for tracking numbers
+                await this.scanPageForTrackingNumbers();
+                
+                // Add visual indicators for found tracking numbers
+                this.addTrackingIndicators();
+                this.updateDetectedPanel();
+            }
             
             // Setup click handlers
             this.setupClickHandlers();
             
+            // Order pages that render after load (SPAs, infinite scroll, client-side routing)
+            this.observeDynamicContent();
+            this.observeHistoryNavigation();
+            
             this.isInitialized = true;
         } catch (error) {
             console.error('TrackHub content script initialization error:', error);
@@ -56,65 +95,333 @@ class TrackHubContent {
         }
     }
 
-    async scanPageForTrackingNumbers() {
+    // Carrier registry is an ES module shared with the popup and background
+    async loadCarrierRegistry() {
+        if (!this.carrierRegistry) {
+            const { carrierRegistry } = await import(chrome.runtime.getURL('config/carrier-registry.js'));
+            await carrierRegistry.loadCustomCarriers();
+            this.carrierRegistry = carrierRegistry;
+        }
+        return this.carrierRegistry;
+    }
+
+    // Tells tracking numbers from order numbers and RMAs
+    async loadTokenClassifier() {
+        if (!this.tokenClassifier) {
+            const { tokenClassifier } = await import(chrome.runtime.getURL('config/token-classifier.js'));
+            this.tokenClassifier = tokenClassifier;
+        }
+        return this.tokenClassifier;
+    }
+
+    // schema.org ParcelDelivery / Order reader, see content/structured-data.js
+    async loadStructuredDataExtractor() {
+        if (!this.structuredDataExtractor) {
+            const { structuredDataExtractor } = await import(chrome.runtime.getURL('content/structured-data.js'));
+            this.structuredDataExtractor = structuredDataExtractor;
+        }
+        return this.structuredDataExtractor;
+    }
+
+    async loadMerchantAdapters() {
+        if (!this.merchantAdapters) {
+            this.merchantAdapters = await import(chrome.runtime.getURL('content/merchant-adapters.js'));
+        }
+        return this.merchantAdapters;
+    }
+
+    async loadWebmailReader() {
+        const { getWebmailReader } = await import(chrome.runtime.getURL('content/webmail.js'));
+        return getWebmailReader(location.hostname);
+    }
+
+    async loadTrustedSenders() {
+        if (!this.trustedSenders) {
+            const { trustedSenders } = await import(chrome.runtime.getURL('config/trusted-senders.js'));
+            this.trustedSenders = trustedSenders;
+        }
+        return this.trustedSenders;
+    }
+
+    async loadFalsePositiveFilter() {
+        if (!this.falsePositiveFilter) {
+            const { falsePositiveFilter } = await import(chrome.runtime.getURL('config/false-positive-filter.js'));
+            this.falsePositiveFilter = falsePositiveFilter;
+        }
+        return this.falsePositiveFilter;
+    }
+
+    async loadPageTokenizer() {
+        if (!this.pageTokenizer) {
+            const { pageTokenizer } = await import(chrome.runtime.getURL('content/page-tokenizer.js'));
+            this.pageTokenizer = pageTokenizer;
+        }
+        return this.pageTokenizer;
+    }
+
+    async loadHighlighter() {
+        const { trackingHighlighter } = await import(chrome.runtime.getURL('content/highlighter.js'));
+        return trackingHighlighter;
+    }
+
+    async loadSiteRule() {
+        const { siteRules } = await import(chrome.runtime.getURL('config/site-rules.js'));
+        this.siteRules = siteRules;
+        return siteRules.getRuleFor(location.hostname);
+    }
+
+    // Rules edited in the popup apply to open pages without a reload
+    watchSiteRules() {
+        if (this.watchingSiteRules) return;
+        this.watchingSiteRules = true;
+
+        chrome.storage.onChanged.addListener(async (changes, areaName) => {
+            if (areaName !== 'local' || !changes[this.siteRules.config.storageKey]) return;
+
+            const previous = this.siteRule;
+            this.siteRule = await this.siteRules.getRuleFor(location.hostname);
+
+            if (!this.highlighter) {
+                // Detection was off when the page loaded
+                if (this.siteRule.detect && !this.isInitialized) this.initialize();
+                return;
+            }
+
+            if (!this.siteRule.detect || !this.siteRule.highlight ||
+                previous.selector !== this.siteRule.selector || previous.pattern !== this.siteRule.pattern) {
+                this.removeAllHighlights();
+                this.trackingNumbers = [];
+            }
+            if (this.siteRule.detect) {
+                this.queueScanRoot(document.body);
+                this.scheduleRescan();
+            }
+        });
+    }
+
+    setupMessageListener() {
+        chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+            switch (request.action) {
+                case 'removeHighlights':
+                    this.removeAllHighlights();
+                    sendResponse({ success: true });
+                    break;
+
+                case 'getScanMetrics':
+                    sendResponse({
+                        success: true,
+                        data: { url: location.href, last: this.lastScanMetrics || null, totals: this.scanTotals || null }
+                    });
+                    break;
+
+                case 'rescanPage':
+                    this.queueScanRoot(document.body);
+                    this.scheduleRescan();
+                    sendResponse({ success: true });
+                    break;
+            }
+        });
+    }
+
+    // Scans the whole page by default, or just one changed subtree; returns what it found there
+    async scanPageForTrackingNumbers(root = document.body) {
         try {
-            // Get all text content from the page
-            const textContent = document.body.innerText;
-            
-            // Define tracking number patterns
-            const patterns = [
-                // UPS patterns
-                { pattern: /1Z[0-9A-Z]{16}/g, brand: 'ups' },
-                { pattern: /\b[0-9]{10,}\b/g, brand: 'ups' },
-                
-                // FedEx patterns
-                { pattern: /\b[0-9]{12}\b/g, brand: 'fedex' },
-                { pattern: /\b[0-9]{14}\b/g, brand: 'fedex' },
-                
-                // USPS patterns
-                { pattern: /[A-Z]{2}[0-9]{9}[A-Z]{2}/g, brand: 'usps' },
-                { pattern: /[0-9]{4}\s[0-9]{4}\s[0-9]{4}\s[0-9]{4}/g, brand: 'usps' },
-                
-                // DHL patterns
-                { pattern: /\b[0-9]{10,11}\b/g, brand: 'dhl' },
-                
-                // Amazon patterns
-                { pattern: /TBA[0-9]{10}/g, brand: 'amazon' },
-                
-                // Generic patterns
-                { pattern: /\b[A-Z0-9]{8,20}\b/g, brand: 'other' }
+            const rule = this.siteRule || {};
+            if (rule.detect === false) return [];
+
+            // Tracking number patterns come from the carrier registry
+            const registry = await this.loadCarrierRegistry();
+            const classifier = await this.loadTokenClassifier();
+
+            // schema.org markup and merchant order pages name carrier, ETA and order outright,
+            // so they go first and outrank regex hits; rescans only read them when the change touched that markup
+            let found = [
+                ...await this.extractStructuredShipments(root, registry, classifier),
+                ...await this.extractMerchantShipments(root, registry, classifier)
             ];
 
-            this.trackingNumbers = [];
-
-            patterns.forEach(({ pattern, brand }) => {
-                const matches = textContent.match(pattern);
-                if (matches) {
-                    matches.forEach(match => {
-                        if (this.isValidTrackingNumber(match)) {
-                            this.trackingNumbers.push({
-                                number: match.trim(),
-                                brand: brand,
-                                element: this.findElementContainingText(match)
-                            });
-                        }
+            // Only where the site rule says numbers live, when it says so
+            const scanRoots = this.getScanRoots(root, rule.selector);
+
+            // The site's own format; capture group 1 is the number when the regex has one
+            if (rule.pattern) {
+                const textContent = scanRoots.map(element => element.innerText || element.textContent || '').join('\n');
+                this.matchSitePattern(textContent, rule.pattern).forEach(match => {
+                    if (!classifier.isTrackable(match)) return;
+                    const best = registry.matchPatterns(match)[0];
+                    found.push({
+                        number: match,
+                        brand: best ? best.carrier : 'other',
+                        confidence: best ? best.confidence : 'low',
+                        source: 'site_rule',
+                        element: this.findElementContainingText(match, root)
                     });
+                });
+            }
+
+            // One pass over the text nodes in idle time; each token is checked against the registry once
+            const tokenizer = await this.loadPageTokenizer();
+            const falsePositives = await this.loadFalsePositiveFilter();
+            const { matches, metrics } = await tokenizer.scan(scanRoots, {
+                accept: (token, context) => {
+                    // Spaced groups ("9400 1118 9922 ...") are checked and stored as one compact number
+                    const number = this.compactNumber(token);
+                    if (!this.isValidTrackingNumber(number) || !classifier.isTrackable(number)) return false;
+                    const carrierMatches = registry.matchPatterns(number);
+                    if (!GENERIC_TRACKING_PATTERN.test(number) && carrierMatches.length === 0) return false;
+                    // SKUs, hashes, ISBNs, GUID pieces; card and IBAN numbers are never accepted
+                    return falsePositives.evaluate(number, { ...context, matches: carrierMatches }).accepted;
                 }
             });
+            this.recordScanMetrics(metrics, root);
+
+            matches.forEach(({ token, element }) => {
+                const number = this.compactNumber(token);
+                // Best checksum-aware match, or the generic fallback
+                const best = registry.matchPatterns(number)[0];
+                found.push({
+                    number,
+                    brand: best ? best.carrier : 'other',
+                    confidence: best ? best.confidence : 'low',
+                    source: 'pattern',
+                    element
+                });
+            });
 
             // Remove duplicates
-            this.trackingNumbers = this.trackingNumbers.filter((item, index, self) => 
+            found = found.filter((item, index, self) => 
                 index === self.findIndex(t => t.number === item.number)
             );
 
-            console.log('TrackHub found tracking numbers:', this.trackingNumbers);
+            // Keep earlier finds; a number rendered again elsewhere points at its new element
+            found.forEach(item => {
+                const existing = this.trackingNumbers.find(t => t.number === item.number);
+                if (!existing) {
+                    this.trackingNumbers.push(item);
+                } else if ((SOURCE_RANK[item.source] || 0) > (SOURCE_RANK[existing.source] || 0)) {
+                    Object.assign(existing, item, { element: item.element || existing.element });
+                } else if (item.element) {
+                    existing.element = item.element;
+                }
+            });
+
+            console.log('TrackHub found tracking numbers:', found);
+            return found;
         } catch (error) {
             console.error('Error scanning page for tracking numbers:', error);
+            return [];
+        }
+    }
+
+    // ParcelDelivery items from JSON-LD / microdata, with everything the markup says about them
+    async extractStructuredShipments(root, registry, classifier) {
+        try {
+            const extractor = await this.loadStructuredDataExtractor();
+            if (root !== document.body && !extractor.hasMarkup(root)) return [];
+            // JSON-LD usually sits in <head>, outside document.body
+            const shipments = extractor.extract(root === document.body ? document : root);
+            return this.toDetectedShipments(shipments, 'structured_data', root, registry, classifier);
+        } catch (error) {
+            console.error('Error reading structured shipment data:', error);
+            return [];
+        }
+    }
+
+    // Amazon, eBay, Walmart, AliExpress and Shopify order pages, see content/merchant-adapters.js
+    async extractMerchantShipments(root, registry, classifier) {
+        try {
+            const { parseMerchantPage, hasOrderMarkup } = await this.loadMerchantAdapters();
+            if (root !== document.body && !hasOrderMarkup(root)) return [];
+            // Adapters read the whole order page; a rescan of part of it still sees the order around the number
+            const shipments = parseMerchantPage(document, location.href);
+            return this.toDetectedShipments(shipments, 'merchant_page', root, registry, classifier);
+        } catch (error) {
+            console.error('Error reading merchant order page:', error);
+            return [];
+        }
+    }
+
+    // Shared shape for shipments that come with their context: { trackingNumber, carrierName, trackingUrl,
+    // carrierUrl?, estimatedDelivery, orderNumber, merchant?, merchantName, items? | products? }
+    toDetectedShipments(shipments, source, root, registry, classifier) {
+        return shipments
+            .filter(shipment => classifier.isTrackable(shipment.trackingNumber))
+            .map(shipment => {
+                const number = this.compactNumber(shipment.trackingNumber);
+                const patternMatch = registry.matchPatterns(number)[0];
+                const brand = registry.findByName(shipment.carrierName, shipment.carrierUrl || shipment.trackingUrl) ||
+                    (patternMatch ? patternMatch.carrier : 'other');
+
+                let orderReference = null;
+                if (shipment.orderNumber) {
+                    const classification = classifier.classify(shipment.orderNumber);
+                    orderReference = {
+                        orderNumber: shipment.orderNumber,
+                        merchant: shipment.merchant || classification.merchant || null,
+                        merchantName: shipment.merchantName || classification.merchantName || null
+                    };
+                }
+
+                return {
+                    number,
+                    brand,
+                    confidence: 'high',
+                    source,
+                    element: this.findElementContainingText(number, root),
+                    details: {
+                        carrierName: shipment.carrierName,
+                        estimatedDelivery: shipment.estimatedDelivery,
+                        items: shipment.items || (shipment.products || []).map(title => ({ title, thumbnail: null })),
+                        orderReference
+                    }
+                };
+            });
+    }
+
+    // The elements matching selector in or at root, or root itself without one
+    getScanRoots(root, selector) {
+        if (!selector) return [root];
+
+        try {
+            // Inside a changed subtree that sits within a matching element
+            if (root.closest && root.closest(selector)) return [root];
+            return [...root.querySelectorAll(selector)];
+        } catch (error) {
+            console.error('Invalid site rule selector:', selector, error);
+            return [root];
+        }
+    }
+
+    // Latest scan timings and counts, kept for the popup's debug view and summed per page
+    recordScanMetrics(metrics, root) {
+        const totals = this.scanTotals || { scans: 0, busyMs: 0, tokens: 0, matches: 0, skippedRegions: 0 };
+        totals.scans++;
+        totals.busyMs = Math.round((totals.busyMs + metrics.busyMs) * 10) / 10;
+        totals.tokens += metrics.tokens;
+        totals.matches += metrics.matches;
+        totals.skippedRegions += metrics.skippedRegions;
+        this.scanTotals = totals;
+        this.lastScanMetrics = { ...metrics, fullPage: root === document.body };
+    }
+
+    matchSitePattern(text, source) {
+        try {
+            const regex = new RegExp(source, 'g');
+            return [...text.matchAll(regex)]
+                .map(match => (match[1] !== undefined ? match[1] : match[0]).trim())
+                .filter(Boolean);
+        } catch (error) {
+            console.error('Invalid site rule pattern:', source, error);
+            return [];
         }
     }
 
+    compactNumber(text) {
+        return text.replace(/\s+/g, '');
+    }
+
     isValidTrackingNumber(text) {
-        // Additional validation to avoid false positives
+        // Cheap shape checks first; config/false-positive-filter.js weighs the rest
         const number = text.trim();
         
         // Must be at least 8 characters
@@ -134,9 +441,9 @@ class TrackHubContent {
         return !excludePatterns.some(pattern => pattern.test(number));
     }
 
-    findElementContainingText(text) {
+    findElementContainingText(text, root = document.body) {
         const walker = document.createTreeWalker(
-            document.body,
+            root,
             NodeFilter.SHOW_TEXT,
             null,
             false
@@ -144,6 +451,10 @@ class TrackHubContent {
 
         let node;
         while (node = walker.nextNode()) {
+            // Already highlighted, or part of our own dialogs
+            if (node.parentElement && node.parentElement.closest('[data-trackhub-processed], [data-trackhub-ui]')) {
+                continue;
+            }
             if (node.textContent.includes(text)) {
                 return node.parentElement;
             }
@@ -151,75 +462,254 @@ class TrackHubContent {
         return null;
     }
 
-    addTrackingIndicators() {
-        this.trackingNumbers.forEach(({ number, brand, element }) => {
-            if (element && !element.hasAttribute('data-trackhub-processed')) {
-                this.highlightTrackingNumber(element, number, brand);
-                element.setAttribute('data-trackhub-processed', 'true');
+    // Highlights every occurrence under root; the wrappers are marked data-trackhub-processed
+    addTrackingIndicators(items = this.trackingNumbers, root = document.body) {
+        // The site rule may keep detection (and quick add via the context menu) but skip highlighting
+        if (this.siteRule && !this.siteRule.highlight) return;
+
+        this.withoutObserving(() => {
+            this.highlighter.highlightAll(items, {
+                root,
+                onClick: (clickedNumber, clickedBrand) => this.handleTrackingClick(clickedNumber, clickedBrand)
+            });
+        });
+    }
+
+    removeAllHighlights() {
+        this.withoutObserving(() => this.highlighter.removeAll(document.body));
+        if (this.pageUI && this.pageUI.activePanel) this.pageUI.activePanel.close();
+    }
+
+    // Bulk capture for pages with several numbers, such as order histories
+    async updateDetectedPanel() {
+        // Webmail offers its own banner per email
+        if (this.webmail) return;
+        if (this.siteRule && !this.siteRule.highlight) return;
+
+        const items = this.trackingNumbers.filter(item => !this.addedNumbers.has(item.number));
+        const pageUI = await this.loadPageUI();
+        // Opens at two numbers; once open it stays until everything is added
+        if (items.length < 2 && !pageUI.activePanel) return;
+        if (items.length === 0) {
+            pageUI.activePanel.close();
+            return;
+        }
+
+        const registry = await this.loadCarrierRegistry();
+        pageUI.showPanel({
+            title: 'Tracking numbers on this page',
+            items: items.map(({ number, brand, confidence }) => ({ number, brand, confidence })),
+            carriers: registry.getAll().map(({ id, name }) => ({ id, name })),
+            onSubmit: selected => this.addTrackingInBulk(selected)
+        });
+    }
+
+    // Scans the email that is open now, once per email, and offers (or for trusted senders does) the import
+    async checkOpenEmail() {
+        const message = this.webmail.getOpenMessage(document);
+        if (!message) {
+            this.currentEmailKey = null;
+            if (this.pageUI && this.pageUI.closeActiveBanner) this.pageUI.closeActiveBanner();
+            return;
+        }
+        if (message.key === this.currentEmailKey) return;
+        this.currentEmailKey = message.key;
+
+        // Numbers from the previous email no longer apply
+        this.trackingNumbers = [];
+        const found = await this.scanPageForTrackingNumbers(message.body);
+        this.addTrackingIndicators(found, message.body);
+
+        const registry = await this.loadCarrierRegistry();
+        const classifier = await this.loadTokenClassifier();
+        const items = this.applyEmailContext(found, message, registry, classifier);
+        const shippingEmail = this.webmail.isShippingEmail(message);
+        if (items.length === 0 || (!shippingEmail && !items.some(item => item.confidence === 'high'))) return;
+
+        const trustedSenders = await this.loadTrustedSenders();
+        if (shippingEmail && await trustedSenders.isTrusted(message.senderDomain)) {
+            await this.addTrackingInBulk(items.map(({ number, brand }) => ({ number, brand })));
+            return;
+        }
+
+        this.showEmailBanner(items, message);
+    }
+
+    // What the email says around the numbers: merchant from the sender, carrier and order number from the subject
+    applyEmailContext(found, message, registry, classifier) {
+        const { merchant, merchantName } = this.webmail.inferMerchant(message);
+        const carrier = this.webmail.inferCarrier(message, registry);
+        const subjectOrder = this.webmail.findOrderNumber(message, classifier);
+
+        return found.map(item => {
+            const details = { ...(item.details || {}) };
+            if (!details.orderReference && subjectOrder) {
+                details.orderReference = { ...subjectOrder, merchantName: subjectOrder.merchantName || merchantName };
+            }
+            if (details.orderReference && !details.orderReference.merchant && merchant) {
+                details.orderReference = { ...details.orderReference, merchant, merchantName };
+            }
+            if (!details.items || details.items.length === 0) {
+                details.items = message.subject ? [{ title: message.subject, thumbnail: null }] : [];
             }
+
+            // The sender or subject naming a carrier beats a format guess, not a checksum-backed match
+            const useEmailCarrier = carrier && item.brand !== carrier && item.confidence !== 'high';
+            Object.assign(item, {
+                brand: useEmailCarrier ? carrier : item.brand,
+                confidence: useEmailCarrier ? 'medium' : item.confidence,
+                details
+            });
+            return item;
         });
     }
 
-    highlightTrackingNumber(element, number, brand) {
-        try {
-            // Create highlight wrapper
-            const wrapper = document.createElement('span');
-            wrapper.className = 'trackhub-highlight';
-            wrapper.style.cssText = `
-                background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-                color: white;
-                padding: 2px 6px;
-                border-radius: 4px;
-                cursor: pointer;
-                font-weight: 600;
-                font-size: 0.9em;
-                margin: 0 2px;
-                display: inline-block;
-                transition: all 0.3s ease;
-                position: relative;
-            `;
-
-            // Add hover effect
-            wrapper.addEventListener('mouseenter', () => {
-                wrapper.style.transform = 'scale(1.05)';
-                wrapper.style.boxShadow = '0 2px 8px rgba(102, 126, 234, 0.3)';
+    async showEmailBanner(items, message) {
+        const registry = await this.loadCarrierRegistry();
+        const pageUI = await this.loadPageUI();
+        const selected = items.map(({ number, brand }) => ({ number, brand }));
+        const senderDomain = message.senderDomain ? this.webmail.getBaseDomain(message.senderDomain) : null;
+
+        const text = items.length === 1
+            ? `${registry.getDisplayName(items[0].brand)} shipment ${items[0].number} in this email`
+            : `${items.length} shipments in this email`;
+        const buttons = [
+            { text: items.length === 1 ? 'Track this shipment' : 'Track these shipments', primary: true, action: () => this.addTrackingInBulk(selected) }
+        ];
+        if (senderDomain && this.webmail.isShippingEmail(message)) {
+            buttons.push({
+                text: `Always import from ${senderDomain}`,
+                action: async () => {
+                    const trustedSenders = await this.loadTrustedSenders();
+                    await trustedSenders.add(senderDomain);
+                    await this.addTrackingInBulk(selected);
+                }
             });
+        }
+
+        pageUI.showBanner({ message: text, buttons });
+    }
+
+    // One batched message for several numbers: panel selection, email banner or trusted-sender import
+    async addTrackingInBulk(selected) {
+        if (selected.length === 0) return;
+        try {
+            const result = await chrome.storage.local.get(['isLoggedIn']);
+            if (!result.isLoggedIn) {
+                this.showQuickLoginPrompt();
+                return;
+            }
 
-            wrapper.addEventListener('mouseleave', () => {
-                wrapper.style.transform = 'scale(1)';
-                wrapper.style.boxShadow = 'none';
+            const items = selected.map(({ number, brand }, index) => this.buildTrackingData(number, brand, index));
+            const response = await chrome.runtime.sendMessage({
+                action: 'quickAddTrackingBatch',
+                data: items
             });
+            if (!response || !response.success) {
+                throw new Error((response && response.error) || 'No response from background');
+            }
 
-            // Add click handler
-            wrapper.addEventListener('click', (e) => {
-                e.preventDefault();
-                e.stopPropagation();
-                this.handleTrackingClick(number, brand);
+            selected.forEach(({ number }) => this.addedNumbers.add(number));
+            const { added, skipped } = response.data;
+            this.showSuccessMessage(`Added ${added} tracking number${added === 1 ? '' : 's'} to TrackHub${skipped ? ` (${skipped} already tracked)` : ''}`);
+            this.updateDetectedPanel();
+        } catch (error) {
+            console.error('Error adding tracking numbers in bulk:', error);
+            const pageUI = await this.loadPageUI();
+            pageUI.showToast('Failed to add tracking numbers', { type: 'error' });
+        }
+    }
+
+    // Our own DOM edits must not feed back into the rescan queue
+    withoutObserving(callback) {
+        if (!this.mutationObserver) return callback();
+
+        this.handleMutations(this.mutationObserver.takeRecords());
+        try {
+            return callback();
+        } finally {
+            this.mutationObserver.takeRecords();
+        }
+    }
+
+    observeDynamicContent() {
+        if (this.mutationObserver) return;
+
+        this.mutationObserver = new MutationObserver(mutations => this.handleMutations(mutations));
+        this.mutationObserver.observe(document.body, { childList: true, subtree: true, characterData: true });
+    }
+
+    handleMutations(mutations) {
+        mutations.forEach(mutation => {
+            if (mutation.type === 'characterData') {
+                this.queueScanRoot(mutation.target.parentElement);
+                return;
+            }
+            mutation.addedNodes.forEach(node => {
+                this.queueScanRoot(node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement);
             });
+        });
+        this.scheduleRescan();
+    }
 
-            // Replace text content
-            const textNode = Array.from(element.childNodes).find(node => 
-                node.nodeType === Node.TEXT_NODE && node.textContent.includes(number)
-            );
+    // Client-side route changes; the Navigation API also reports the page's own pushState calls
+    observeHistoryNavigation() {
+        this.lastUrl = location.href;
+        const onNavigate = () => {
+            if (location.href === this.lastUrl) return;
+            this.lastUrl = location.href;
+            this.trackingNumbers = [];
+            this.queueScanRoot(document.body);
+            this.scheduleRescan();
+        };
+
+        window.addEventListener('popstate', onNavigate);
+        window.addEventListener('hashchange', onNavigate);
+        if (window.navigation) {
+            window.navigation.addEventListener('navigatesuccess', onNavigate);
+        }
+    }
 
-            if (textNode) {
-                const newText = textNode.textContent.replace(number, '');
-                const beforeText = newText.substring(0, newText.indexOf(number));
-                const afterText = newText.substring(newText.indexOf(number) + number.length);
-                
-                wrapper.textContent = number;
-                
-                if (beforeText) {
-                    element.insertBefore(document.createTextNode(beforeText), textNode);
-                }
-                element.insertBefore(wrapper, textNode);
-                if (afterText) {
-                    element.insertBefore(document.createTextNode(afterText), textNode);
-                }
-                element.removeChild(textNode);
+    queueScanRoot(element) {
+        if (!element || !element.isConnected) return;
+        // Our own highlights and dialogs cause mutations too
+        if (element.closest('[data-trackhub-processed], [data-trackhub-ui]')) return;
+        this.pendingScanRoots.add(element);
+    }
+
+    scheduleRescan() {
+        if (this.pendingScanRoots.size === 0) return;
+        clearTimeout(this.rescanTimer);
+        this.rescanTimer = setTimeout(() => this.rescanPendingRoots(), this.rescanDelay);
+    }
+
+    async rescanPendingRoots() {
+        // One rescan at a time; anything queued meanwhile runs on the next pass
+        if (this.rescanInProgress) {
+            this.scheduleRescan();
+            return;
+        }
+        this.rescanInProgress = true;
+
+        try {
+            const roots = [...this.pendingScanRoots].filter(root => root.isConnected);
+            this.pendingScanRoots.clear();
+
+            // In webmail any change may be a newly opened email; the rest of the mail UI is never scanned
+            if (this.webmail) {
+                await this.checkOpenEmail();
+                return;
             }
-        } catch (error) {
-            console.error('Error highlighting tracking number:', error);
+
+            // A root inside another queued root is covered by scanning the outer one
+            const topRoots = roots.filter(root => !roots.some(other => other !== root && other.contains(root)));
+            for (const root of topRoots) {
+                const found = await this.scanPageForTrackingNumbers(root);
+                this.addTrackingIndicators(found, root);
+            }
+            if (topRoots.length > 0) this.updateDetectedPanel();
+        } finally {
+            this.rescanInProgress = false;
         }
     }
 
@@ -249,102 +739,42 @@ class TrackHubContent {
         }
     }
 
-    showQuickLoginPrompt() {
-        const dialog = this.createDialog(
-            'Login Required',
-            'Please login to TrackHub to add tracking numbers.',
-            [
-                { text: 'Open TrackHub', action: () => this.openTrackHub() },
-                { text: 'Cancel', action: () => dialog.remove() }
-            ]
-        );
-        document.body.appendChild(dialog);
-    }
-
-    showQuickAddDialog(number, brand) {
-        const dialog = this.createDialog(
-            'Add to TrackHub',
-            `Add tracking number: ${number}`,
-            [
-                { 
-                    text: 'Add', 
-                    action: () => {
-                        this.addTrackingQuickly(number, brand);
-                        dialog.remove();
-                    }
-                },
-                { text: 'Cancel', action: () => dialog.remove() }
+    // Dialogs and toasts render in a closed shadow root, see content/page-ui.js
+    async loadPageUI() {
+        if (!this.pageUI) {
+            const { pageUI } = await import(chrome.runtime.getURL('content/page-ui.js'));
+            this.pageUI = pageUI;
+        }
+        return this.pageUI;
+    }
+
+    async showQuickLoginPrompt() {
+        const pageUI = await this.loadPageUI();
+        pageUI.showDialog({
+            title: 'Login Required',
+            message: 'Please login to TrackHub to add tracking numbers.',
+            buttons: [
+                { text: 'Open TrackHub', primary: true, action: () => this.openTrackHub() },
+                { text: 'Cancel' }
             ]
-        );
-        document.body.appendChild(dialog);
-    }
-
-    createDialog(title, message, buttons) {
-        const dialog = document.createElement('div');
-        dialog.style.cssText = `
-            position: fixed;
-            top: 50%;
-            left: 50%;
-            transform: translate(-50%, -50%);
-            background: white;
-            border-radius: 8px;
-            box-shadow: 0 10px 30px rgba(0, 0, 0, 0.3);
-            padding: 20px;
-            z-index: 10000;
-            min-width: 300px;
-            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-        `;
-
-        dialog.innerHTML = `
-            <h3 style="margin: 0 0 10px 0; color: #333; font-size: 18px;">${title}</h3>
-            <p style="margin: 0 0 20px 0; color: #666; font-size: 14px;">${message}</p>
-            <div style="display: flex; gap: 10px; justify-content: flex-end;">
-                ${buttons.map(btn => 
-                    `<button style="
-                        padding: 8px 16px;
-                        border: none;
-                        border-radius: 4px;
-                        cursor: pointer;
-                        font-size: 14px;
-                        ${btn.text === 'Add' ? 'background: #667eea; color: white;' : 'background: #f0f0f0; color: #333;'}
-                    ">${btn.text}</button>`
-                ).join('')}
-            </div>
-        `;
-
-        // Add button event listeners
-        const buttonElements = dialog.querySelectorAll('button');
-        buttons.forEach((btn, index) => {
-            buttonElements[index].addEventListener('click', btn.action);
         });
+    }
 
-        // Add backdrop
-        const backdrop = document.createElement('div');
-        backdrop.style.cssText = `
-            position: fixed;
-            top: 0;
-            left: 0;
-            width: 100%;
-            height: 100%;
-            background: rgba(0, 0, 0, 0.5);
-            z-index: 9999;
-        `;
-        backdrop.addEventListener('click', () => dialog.remove());
-        document.body.appendChild(backdrop);
-
-        return dialog;
+    async showQuickAddDialog(number, brand) {
+        const pageUI = await this.loadPageUI();
+        pageUI.showDialog({
+            title: 'Add to TrackHub',
+            message: `Add tracking number: ${number}`,
+            buttons: [
+                { text: 'Add', primary: true, action: () => this.addTrackingQuickly(number, brand) },
+                { text: 'Cancel' }
+            ]
+        });
     }
 
     async addTrackingQuickly(number, brand) {
         try {
-            const trackingData = {
-                id: Date.now().toString(),
-                trackingNumber: number,
-                brand: brand,
-                description: `Quick add from ${document.title}`,
-                dateAdded: new Date().toISOString(),
-                status: 'pending'
-            };
+            const trackingData = this.buildTrackingData(number, brand);
 
             // Send to background script
             chrome.runtime.sendMessage({
@@ -359,27 +789,32 @@ class TrackHubContent {
         }
     }
 
-    showSuccessMessage(message) {
-        const notification = document.createElement('div');
-        notification.style.cssText = `
-            position: fixed;
-            top: 20px;
-            right: 20px;
-            background: #4CAF50;
-            color: white;
-            padding: 12px 20px;
-            border-radius: 4px;
-            z-index: 10001;
-            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-            font-size: 14px;
-            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.2);
-        `;
-        notification.textContent = message;
-        document.body.appendChild(notification);
-
-        setTimeout(() => {
-            notification.remove();
-        }, 3000);
+    // index keeps ids unique when several items are built in the same millisecond
+    buildTrackingData(number, brand, index = 0) {
+        // Structured data fills in what a bare number can't tell us
+        const found = this.trackingNumbers.find(item => item.number === number);
+        const details = (found && found.details) || {};
+
+        const trackingData = {
+            id: (Date.now() + index).toString(),
+            trackingNumber: number,
+            brand: brand,
+            description: details.items && details.items.length > 0
+                ? details.items.map(item => item.title).join(', ')
+                : `Quick add from ${document.title}`,
+            sourceDomain: location.hostname,
+            dateAdded: new Date().toISOString(),
+            status: 'pending'
+        };
+        if (details.orderReference) trackingData.orderReference = details.orderReference;
+        if (details.estimatedDelivery) trackingData.estimatedDelivery = details.estimatedDelivery;
+        if (details.items && details.items.length > 0) trackingData.items = details.items;
+        return trackingData;
+    }
+
+    async showSuccessMessage(message) {
+        const pageUI = await this.loadPageUI();
+        pageUI.showToast(message, { type: 'success' });
     }
 
     openTrackHub() {
@@ -0,0 +1,193 @@
+// Tracking Number Highlighter for TrackHub
+// Wraps every occurrence of a number on the page, also when markup splits it across text nodes
+
+export const HIGHLIGHT_CLASS = 'trackhub-highlight';
+// Shared by all wrapper spans of one occurrence
+export const HIGHLIGHT_GROUP_ATTRIBUTE = 'data-trackhub-highlight';
+
+// Elements that never hold visible page text we should touch
+const SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEXTAREA', 'INPUT', 'SELECT', 'OPTION', 'TEMPLATE', 'SVG']);
+
+// Text may run across these without starting a new block ("1Z<b>999</b>AA...")
+const INLINE_TAGS = new Set([
+  'A', 'ABBR', 'B', 'BDI', 'BDO', 'CITE', 'CODE', 'DATA', 'DFN', 'EM', 'FONT', 'I', 'KBD', 'LABEL',
+  'MARK', 'Q', 'S', 'SAMP', 'SMALL', 'SPAN', 'STRONG', 'SUB', 'SUP', 'TIME', 'TT', 'U', 'VAR', 'WBR'
+]);
+
+const HIGHLIGHT_STYLE = `
+  background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+  color: white;
+  padding: 2px 0;
+  border-radius: 4px;
+  cursor: pointer;
+  font-weight: 600;
+  transition: box-shadow 0.3s ease;
+`;
+
+export class TrackingHighlighter {
+  constructor() {
+    this.groupCounter = 0;
+  }
+
+  // Wraps every not yet highlighted occurrence of each { number, brand } under root; returns how many it wrapped.
+  // The text map is built once for all numbers, so a pass costs one walk of the page.
+  highlightAll(items, { root = document.body, onClick = null } = {}) {
+    const textMap = this.buildTextMap(root);
+    const occurrences = items
+      .flatMap(({ number, brand = 'other' }) =>
+        this.findOccurrences(number, textMap).map(occurrence => ({ ...occurrence, number, brand }))
+      )
+      .sort((a, b) => a.start - b.start || b.end - a.end);
+
+    // Where two numbers claim the same text, the one starting first (then the longer one) keeps it
+    const wrapped = [];
+    for (const occurrence of occurrences) {
+      const previous = wrapped[wrapped.length - 1];
+      if (!previous || occurrence.start >= previous.end) wrapped.push(occurrence);
+    }
+
+    // Last first: splitting a text node keeps its head intact for earlier occurrences
+    for (let i = wrapped.length - 1; i >= 0; i--) {
+      this.wrapOccurrence(wrapped[i].pieces, wrapped[i].number, wrapped[i].brand, onClick);
+    }
+
+    return wrapped.length;
+  }
+
+  // Unwraps every highlight and merges the text nodes back, leaving the page as it was
+  removeAll(root = document.body) {
+    const parents = new Set();
+    root.querySelectorAll(`.${HIGHLIGHT_CLASS}[${HIGHLIGHT_GROUP_ATTRIBUTE}]`).forEach(wrapper => {
+      const parent = wrapper.parentNode;
+      if (!parent) return;
+      while (wrapper.firstChild) {
+        parent.insertBefore(wrapper.firstChild, wrapper);
+      }
+      parent.removeChild(wrapper);
+      parents.add(parent);
+    });
+    parents.forEach(parent => parent.normalize());
+    return parents.size;
+  }
+
+  // Text nodes under root joined into one string, with each node's offset into it.
+  // A block boundary between nodes becomes a newline so matches never run across table cells or paragraphs.
+  buildTextMap(root) {
+    const segments = [];
+    let text = '';
+    let previousBlock = null;
+
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: node => this.isHighlightable(node) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT
+    });
+
+    let node;
+    while ((node = walker.nextNode())) {
+      const block = this.getBlockAncestor(node);
+      if (previousBlock && block !== previousBlock) {
+        text += '\n';
+      }
+      previousBlock = block;
+
+      segments.push({ node, start: text.length, end: text.length + node.data.length });
+      text += node.data;
+    }
+
+    return { text, segments };
+  }
+
+  // { start, end, pieces } per occurrence in the text map; pieces are { node, start, end }, one per text node it touches
+  findOccurrences(number, { text, segments }) {
+    const regex = this.buildNumberRegex(number);
+    const occurrences = [];
+
+    let match;
+    while ((match = regex.exec(text))) {
+      const matchStart = match.index + match[1].length;
+      const matchEnd = match.index + match[0].length;
+
+      const pieces = segments
+        .filter(segment => segment.end > matchStart && segment.start < matchEnd)
+        .map(segment => ({
+          node: segment.node,
+          start: Math.max(matchStart, segment.start) - segment.start,
+          end: Math.min(matchEnd, segment.end) - segment.start
+        }))
+        .filter(piece => piece.end > piece.start);
+
+      if (pieces.length > 0) occurrences.push({ start: matchStart, end: matchEnd, pieces });
+    }
+
+    return occurrences;
+  }
+
+  // Whole-token match; numbers are stored compact, so the page may group them with spaces ("9400 1118 ..."),
+  // but never across the newline buildTextMap puts between blocks
+  buildNumberRegex(number) {
+    const body = [...number.replace(/\s+/g, '')]
+      .map(character => character.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('[ \\t\\u00a0]*');
+    return new RegExp(`(^|[^A-Za-z0-9])${body}(?![A-Za-z0-9])`, 'g');
+  }
+
+  wrapOccurrence(pieces, number, brand, onClick) {
+    const groupId = `th-${++this.groupCounter}`;
+    const wrappers = [];
+
+    pieces.forEach(({ node, start, end }) => {
+      // Isolate [start, end) in its own text node, then wrap just that
+      if (end < node.data.length) node.splitText(end);
+      const target = start > 0 ? node.splitText(start) : node;
+
+      const wrapper = document.createElement('span');
+      wrapper.className = HIGHLIGHT_CLASS;
+      wrapper.setAttribute(HIGHLIGHT_GROUP_ATTRIBUTE, groupId);
+      wrapper.setAttribute('data-trackhub-processed', 'true');
+      wrapper.dataset.trackingNumber = number;
+      wrapper.dataset.brand = brand;
+      wrapper.style.cssText = HIGHLIGHT_STYLE;
+      target.parentNode.insertBefore(wrapper, target);
+      wrapper.appendChild(target);
+      wrappers.push(wrapper);
+    });
+
+    // The pieces of one number behave as one highlight
+    wrappers.forEach(wrapper => {
+      wrapper.addEventListener('mouseenter', () => {
+        wrappers.forEach(piece => { piece.style.boxShadow = '0 2px 8px rgba(102, 126, 234, 0.5)'; });
+      });
+      wrapper.addEventListener('mouseleave', () => {
+        wrappers.forEach(piece => { piece.style.boxShadow = 'none'; });
+      });
+      if (onClick) {
+        wrapper.addEventListener('click', event => {
+          event.preventDefault();
+          event.stopPropagation();
+          onClick(number, brand);
+        });
+      }
+    });
+  }
+
+  isHighlightable(node) {
+    if (!node.data || !node.data.trim()) return false;
+    for (let element = node.parentElement; element; element = element.parentElement) {
+      if (SKIPPED_TAGS.has(element.tagName.toUpperCase())) return false;
+      if (element.isContentEditable) return false;
+      // Already highlighted, or part of our own UI
+      if (element.hasAttribute('data-trackhub-processed') || element.hasAttribute('data-trackhub-ui')) return false;
+    }
+    return true;
+  }
+
+  getBlockAncestor(node) {
+    let element = node.parentElement;
+    while (element && INLINE_TAGS.has(element.tagName.toUpperCase())) {
+      element = element.parentElement;
+    }
+    return element;
+  }
+}
+
+export const trackingHighlighter = new TrackingHighlighter();
+export default trackingHighlighter;
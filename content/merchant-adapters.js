@@ -0,0 +1,288 @@
+// Merchant Order Page Adapters for TrackHub
+// Order-detail and order-history pages of big merchants put the tracking number next to the order and its items.
+// Every parser is a pure (doc, url) function so it can run against a saved copy of the page.
+
+import { carrierRegistry } from '../config/carrier-registry.js';
+
+// Shared by all merchants: "Tracking ID: 1Z...", "Tracking number 9400 1118 ..."
+const TRACKING_LABELS = ['tracking id', 'tracking number', 'tracking no', 'tracking #', 'tracking'];
+// Spaced groups end in a short one on 22-digit USPS numbers; at least one digit, so "Tracking: unavailable" is not a number
+const TRACKING_VALUE = '[0-9]{4}(?: [0-9]{4}){4,5}(?: [0-9]{1,3})?|(?=[A-Z0-9]*[0-9])[A-Z0-9]{8,35}';
+const CARRIER_LABELS = ['shipped with', 'shipped via', 'delivered by', 'carrier', 'shipping carrier', 'logistics company', 'shipping service'];
+const DELIVERY_LABELS = ['arriving', 'arrives by', 'arrives', 'expected by', 'estimated delivery', 'delivery estimate', 'delivery by', 'delivered by'];
+// How far around a tracking number its carrier label may be
+const CARRIER_WINDOW = 300;
+
+const MONTHS = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|jun(?:e)?|jul(?:y)?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+const DATE_VALUE = `(?:[a-z]+day,?\\s+)?(?:(?:${MONTHS})\\.?\\s+[0-9]{1,2}(?:,?\\s+[0-9]{4})?|[0-9]{1,2}\\s+(?:${MONTHS})(?:\\s+[0-9]{4})?|[0-9]{4}-[0-9]{2}-[0-9]{2})`;
+
+const AMAZON = {
+  merchant: 'amazon',
+  merchantName: 'Amazon',
+  containers: ['.order-card', '.js-order-card', '#orderDetails', '.a-box-group.order'],
+  orderLabels: ['order #', 'order number', 'order id'],
+  orderPattern: 'D?[0-9]{3}-[0-9]{7}-[0-9]{7}',
+  orderUrlParams: ['orderID', 'orderId'],
+  itemTitles: ['.yohtmlc-product-title', '[data-component="itemTitle"]', '.a-fixed-left-grid-col.a-col-right a.a-link-normal[href*="/dp/"]', 'a[href*="/gp/product/"]'],
+  thumbnails: ['.yohtmlc-item img', '[data-component="itemImage"] img', 'img[src*="/images/I/"]']
+};
+
+const EBAY = {
+  merchant: 'ebay',
+  merchantName: 'eBay',
+  containers: ['.m-order-card', '.order-r', '.purchase-item'],
+  orderLabels: ['order number', 'order #', 'order no'],
+  orderPattern: '[0-9]{2}-[0-9]{5}-[0-9]{5}',
+  orderUrlParams: ['orderId', 'orderid'],
+  itemTitles: ['.item-title', '.item-description a', '[class*="item-title"]'],
+  thumbnails: ['.item-image img', '[class*="item-image"] img', 'img[src*="i.ebayimg.com"]']
+};
+
+const WALMART = {
+  merchant: 'walmart',
+  merchantName: 'Walmart',
+  containers: ['[data-testid="order-card"]', '[data-testid="orderCard"]'],
+  orderLabels: ['order #', 'order number', 'order#'],
+  orderPattern: '[0-9]{7}-[0-9]{8}|[0-9]{13,15}',
+  orderPathPattern: /\/orders\/([0-9-]{13,20})/,
+  itemTitles: ['[data-testid="productName"]', '[data-testid="item-name"]', '[itemprop="name"]'],
+  thumbnails: ['[data-testid="productTileImage"] img', 'img[src*="i5.walmartimages.com"]']
+};
+
+const ALIEXPRESS = {
+  merchant: 'aliexpress',
+  merchantName: 'AliExpress',
+  containers: ['.order-item', '.order-card'],
+  orderLabels: ['order id', 'order number', 'order no'],
+  orderPattern: '[0-9]{15,20}',
+  orderUrlParams: ['orderId', 'tradeOrderId'],
+  itemTitles: ['.order-detail-item-content-info .item-title', '.order-item-content-info-name', '[class*="item-title"]'],
+  thumbnails: ['.order-detail-item-content-img img', '.order-item-content-img img', 'img[src*="alicdn.com"]']
+};
+
+const SHOPIFY = {
+  merchant: 'shopify',
+  merchantName: null,
+  containers: [],
+  orderLabels: ['order', 'order #', 'confirmation #'],
+  // "Order #1001", "Confirmation #Q1W2E3R4T"; the digit keeps "Order status" out
+  orderPattern: '#?(?=[A-Z0-9]*[0-9])[A-Z0-9]{3,}(?:-[A-Z0-9]+)?',
+  itemTitles: ['.product__description__name', '.product-description__name', '[data-order-summary-section="line-items"] p'],
+  thumbnails: ['.product-thumbnail__image', '.product-thumbnail img']
+};
+
+export function parseAmazonOrderPage(doc, url) {
+  return parseOrderPage(doc, url, AMAZON);
+}
+
+export function parseEbayOrderPage(doc, url) {
+  return parseOrderPage(doc, url, EBAY);
+}
+
+export function parseWalmartOrderPage(doc, url) {
+  return parseOrderPage(doc, url, WALMART);
+}
+
+export function parseAliExpressOrderPage(doc, url) {
+  return parseOrderPage(doc, url, ALIEXPRESS);
+}
+
+// Any store: Shopify's order status page keeps the same structure across themes
+export function parseShopifyOrderPage(doc, url) {
+  const siteName = doc.querySelector('meta[property="og:site_name"]');
+  const merchantName = (siteName && siteName.getAttribute('content')) || new URL(url).hostname.replace(/^www\./, '');
+  return parseOrderPage(doc, url, { ...SHOPIFY, merchantName });
+}
+
+export function isShopifyOrderPage(doc, url) {
+  const path = new URL(url).pathname;
+  const orderStatusPath = /\/orders\/[0-9a-f]{16,}|\/checkouts\/.+\/thank[_-]you|\/account\/orders\//.test(path);
+  const shopifyPage = Boolean(doc.querySelector(
+    'meta[name="shopify-checkout-api-token"], meta[name="shopify-digital-wallet"], link[href*="cdn.shopify.com"], script[src*="cdn.shopify.com"], .os-step__title, .os-order-number'
+  ));
+  return orderStatusPath && shopifyPage;
+}
+
+export const MERCHANT_ADAPTERS = [
+  {
+    id: 'amazon',
+    matches: (url) => /(^|\.)amazon\.[a-z.]+$/.test(url.hostname) &&
+      /order-details|your-orders|order-history|ship-track|progress-tracker/.test(url.pathname + url.search),
+    parse: parseAmazonOrderPage
+  },
+  {
+    id: 'ebay',
+    matches: (url) => /(^|\.)ebay\.[a-z.]+$/.test(url.hostname) &&
+      /\/ord\/|\/mye\/myebay\/(v2\/)?purchase|\/vod\//.test(url.pathname),
+    parse: parseEbayOrderPage
+  },
+  {
+    id: 'walmart',
+    matches: (url) => /(^|\.)walmart\.(com|ca)$/.test(url.hostname) && /\/orders/.test(url.pathname),
+    parse: parseWalmartOrderPage
+  },
+  {
+    id: 'aliexpress',
+    matches: (url) => /(^|\.)aliexpress\.[a-z.]+$/.test(url.hostname) &&
+      /\/order\/|\/tracking\/|order_list|orderList/.test(url.pathname),
+    parse: parseAliExpressOrderPage
+  },
+  {
+    id: 'shopify',
+    matches: (url, doc) => isShopifyOrderPage(doc, url.href),
+    parse: parseShopifyOrderPage
+  }
+];
+
+// Whether a changed subtree belongs to an order card or Shopify order status block, so rescans can skip the rest
+export function hasOrderMarkup(root) {
+  const selector = [AMAZON, EBAY, WALMART, ALIEXPRESS].flatMap(config => config.containers)
+    .concat('.os-step', '.os-order-number')
+    .join(', ');
+  return Boolean((root.closest && root.closest(selector)) || root.querySelector(selector));
+}
+
+// Adapter for the page, or null; url is a string or URL
+export function findMerchantAdapter(doc, url) {
+  const parsed = new URL(String(url));
+  return MERCHANT_ADAPTERS.find(adapter => adapter.matches(parsed, doc)) || null;
+}
+
+// [{ trackingNumber, carrierName, trackingUrl, estimatedDelivery, orderNumber, merchant, merchantName, items: [{ title, thumbnail }] }]
+export function parseMerchantPage(doc, url) {
+  const adapter = findMerchantAdapter(doc, url);
+  return adapter ? adapter.parse(doc, String(url)) : [];
+}
+
+// One pass per order on history pages (each card is its own order), the whole page on detail pages
+function parseOrderPage(doc, url, config) {
+  const containers = config.containers.length > 0 ? [...doc.querySelectorAll(config.containers.join(', '))] : [];
+  // Nested matches (a card inside a card group) would double count
+  const scopes = containers.filter(container => !containers.some(other => other !== container && other.contains(container)));
+  if (scopes.length === 0 && doc.body) scopes.push(doc.body);
+
+  const pageOrderNumber = getOrderNumberFromUrl(url, config);
+  const shipments = [];
+
+  scopes.forEach(scope => {
+    const text = getText(scope);
+    const orderNumber = findLabelledValue(text, config.orderLabels, config.orderPattern) || pageOrderNumber;
+    const items = getItems(scope, config);
+    const estimatedDelivery = parseDeliveryDate(findLabelledValue(text, DELIVERY_LABELS, DATE_VALUE));
+
+    findTrackingNumbers(text).forEach(({ trackingNumber, index }) => {
+      shipments.push({
+        trackingNumber,
+        carrierName: findCarrierNear(text, index),
+        trackingUrl: findTrackingLink(scope, trackingNumber),
+        estimatedDelivery,
+        orderNumber,
+        merchant: config.merchant,
+        merchantName: config.merchantName,
+        items
+      });
+    });
+  });
+
+  // A number shown twice (summary and shipment box) is one shipment
+  return shipments.filter((shipment, index) =>
+    index === shipments.findIndex(other => other.trackingNumber === shipment.trackingNumber)
+  );
+}
+
+function getOrderNumberFromUrl(url, config) {
+  const parsed = new URL(url);
+  for (const param of config.orderUrlParams || []) {
+    const value = parsed.searchParams.get(param);
+    if (value) return value;
+  }
+  if (config.orderPathPattern) {
+    const match = parsed.pathname.match(config.orderPathPattern);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+// Only the labels ignore case; a lowercase run after "tracking" is prose, not a number
+function findTrackingNumbers(text) {
+  const regex = new RegExp(`(?:${TRACKING_LABELS.map(anyCase).join('|')})\\s*[:#]?\\s*(${TRACKING_VALUE})(?![A-Za-z0-9])`, 'g');
+  return [...text.matchAll(regex)]
+    .map(match => ({ trackingNumber: match[1].replace(/\s+/g, ''), index: match.index }))
+    .filter(({ trackingNumber }) => hasValidCheckDigit(trackingNumber));
+}
+
+// A failed check digit (a truncated or mistyped number) only passes when another carrier's check digit holds;
+// formats without one rest on the label
+function hasValidCheckDigit(trackingNumber) {
+  const matches = carrierRegistry.matchPatterns(trackingNumber);
+  return matches.some(match => match.checksumValid === true) || !matches.some(match => match.checksumValid === false);
+}
+
+// The closest carrier label before the number, else the first one after it; the registry's name when it knows the carrier
+function findCarrierNear(text, index) {
+  const regex = new RegExp(`(?:${CARRIER_LABELS.map(escapeRegex).join('|')})\\s*:?\\s*([^\\n:]{2,40})`, 'gi');
+  const windowStart = Math.max(0, index - CARRIER_WINDOW);
+  const matches = [...text.slice(windowStart, index + CARRIER_WINDOW).matchAll(regex)];
+  const before = matches.filter(match => windowStart + match.index < index).pop();
+  const match = before || matches[0];
+  if (!match) return null;
+
+  // Table layouts run the next cell into the capture: "UPS  Tracking ID"
+  const name = match[1].split(/\s{2,}|\t/)[0].trim();
+  const carrier = carrierRegistry.findByName(name);
+  return carrier ? carrierRegistry.getDisplayName(carrier) : name;
+}
+
+function findLabelledValue(text, labels, valuePattern) {
+  const regex = new RegExp(`(?:${labels.map(escapeRegex).join('|')})\\s*[:#]?\\s*(${valuePattern})(?![A-Za-z0-9])`, 'i');
+  const match = text.match(regex);
+  return match ? match[1].trim() : null;
+}
+
+// Carrier pages and merchant "Track package" links put the number in the URL
+function findTrackingLink(scope, trackingNumber) {
+  const compact = trackingNumber.replace(/\s+/g, '');
+  const link = [...scope.querySelectorAll('a[href]')].find(anchor => anchor.href.replace(/%20|\+/g, '').includes(compact));
+  return link ? link.href : null;
+}
+
+function getItems(scope, config) {
+  const titles = [...scope.querySelectorAll(config.itemTitles.join(', '))]
+    .map(element => getText(element).replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+  const thumbnails = [...scope.querySelectorAll(config.thumbnails.join(', '))]
+    .map(image => image.getAttribute('src') || image.getAttribute('data-src'))
+    .filter(Boolean);
+
+  return [...new Set(titles)].map((title, index) => ({ title, thumbnail: thumbnails[index] || null }));
+}
+
+// "Arriving Tuesday, March 4" -> '2026-03-04'; a date without a year is the next one on or after today
+export function parseDeliveryDate(text, now = new Date()) {
+  if (!text) return null;
+  if (/^[0-9]{4}-[0-9]{2}-[0-9]{2}$/.test(text)) return text;
+
+  const cleaned = text.replace(/^[a-z]+day,?\s+/i, '').replace(/\./g, '');
+  const hasYear = /[0-9]{4}/.test(cleaned);
+  const date = new Date(hasYear ? cleaned : `${cleaned} ${now.getFullYear()}`);
+  if (Number.isNaN(date.getTime())) return null;
+
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  if (!hasYear && date < today) date.setFullYear(date.getFullYear() + 1);
+
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function getText(element) {
+  return element.innerText || element.textContent || '';
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// 'tracking #' -> '[Tt][Rr]...[Gg] #', for patterns whose value part must keep its case
+function anyCase(text) {
+  return escapeRegex(text).replace(/[a-z]/g, letter => `[${letter.toUpperCase()}${letter}]`);
+}
@@ -0,0 +1,193 @@
+// Page Tokenizer for TrackHub
+// One pass over the page's text nodes in idle-time chunks, instead of regexes over innerText plus a DOM walk per match
+
+export const TOKENIZER_CONFIG = {
+  // Work per idle callback before yielding back to the page
+  budgetMs: 8,
+  // Idle callbacks may be starved on busy pages; run anyway after this long
+  idleTimeoutMs: 1000,
+  // Tables bigger than this (rows x columns) are data grids, not order pages
+  maxTableCells: 2000,
+  // Text handed to accept() around each token, for labels such as "Tracking ID:"
+  contextBefore: 40,
+  contextAfter: 12,
+  // Spaced USPS groups ("9400 1118 9922 3197 4284 90") or one run of capitals and digits
+  tokenPattern: /(?<![A-Za-z0-9])(?:[0-9]{4}(?: [0-9]{4}){3,6}(?: [0-9]{1,3})?|[A-Z0-9]{8,34})(?![A-Za-z0-9])/g
+};
+
+// Never page text we should read
+const SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'CODE', 'PRE', 'TEXTAREA', 'INPUT', 'SELECT', 'OPTION', 'SVG', 'CANVAS', 'IFRAME']);
+
+// Text may run across these without starting a new block ("1Z<b>999</b>AA...")
+const INLINE_TAGS = new Set([
+  'A', 'ABBR', 'B', 'BDI', 'BDO', 'CITE', 'DATA', 'DFN', 'EM', 'FONT', 'I', 'KBD', 'LABEL',
+  'MARK', 'Q', 'S', 'SAMP', 'SMALL', 'SPAN', 'STRONG', 'SUB', 'SUP', 'TIME', 'TT', 'U', 'VAR', 'WBR'
+]);
+
+export class PageTokenizer {
+  constructor(config = TOKENIZER_CONFIG) {
+    this.config = config;
+  }
+
+  // Resolves to { matches: [{ token, element }], metrics }; accept(token, { before, after }) decides which tokens count
+  scan(roots, { accept = () => true } = {}) {
+    const metrics = {
+      startedAt: Date.now(),
+      durationMs: 0,
+      busyMs: 0,
+      chunks: 0,
+      textNodes: 0,
+      skippedRegions: 0,
+      tokens: 0,
+      matches: 0
+    };
+    const matches = [];
+    const seen = new Set();
+    const queue = [...roots];
+    let walker = null;
+    let block = { element: null, text: '', pieces: [] };
+    // End of the previous block: the label often sits in its own cell or <dt>
+    let previousTail = '';
+
+    const flush = () => {
+      if (block.text) {
+        this.tokenizeBlock(block, previousTail, accept, matches, seen, metrics);
+        previousTail = block.text.slice(-this.config.contextBefore);
+      }
+      block = { element: null, text: '', pieces: [] };
+    };
+
+    return new Promise(resolve => {
+      const step = deadline => {
+        const chunkStart = performance.now();
+        metrics.chunks++;
+
+        while (this.hasTime(deadline, chunkStart)) {
+          if (!walker) {
+            const root = queue.shift();
+            if (!root) break;
+            walker = this.createWalker(root, metrics);
+          }
+
+          const node = walker.nextNode();
+          if (!node) {
+            flush();
+            walker = null;
+            continue;
+          }
+
+          metrics.textNodes++;
+          const element = this.getBlockAncestor(node);
+          if (element !== block.element) {
+            flush();
+            block.element = element;
+          }
+          block.pieces.push({ node, start: block.text.length });
+          block.text += node.data;
+        }
+
+        metrics.busyMs += performance.now() - chunkStart;
+
+        if (walker || queue.length > 0) {
+          this.schedule(step);
+        } else {
+          flush();
+          metrics.durationMs = Date.now() - metrics.startedAt;
+          metrics.busyMs = Math.round(metrics.busyMs * 10) / 10;
+          resolve({ matches, metrics });
+        }
+      };
+
+      this.schedule(step);
+    });
+  }
+
+  hasTime(deadline, chunkStart) {
+    if (performance.now() - chunkStart >= this.config.budgetMs) return false;
+    return !deadline || deadline.didTimeout || deadline.timeRemaining() > 0;
+  }
+
+  schedule(step) {
+    if (typeof requestIdleCallback === 'function') {
+      requestIdleCallback(step, { timeout: this.config.idleTimeoutMs });
+    } else {
+      setTimeout(() => step(null), 0);
+    }
+  }
+
+  // Text nodes only; whole skipped regions are rejected at their root so their text is never visited
+  createWalker(root, metrics) {
+    return document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+      acceptNode: node => {
+        if (node.nodeType === Node.TEXT_NODE) {
+          return node.data.trim() ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP;
+        }
+        if (this.isSkippedRegion(node)) {
+          metrics.skippedRegions++;
+          return NodeFilter.FILTER_REJECT;
+        }
+        return NodeFilter.FILTER_SKIP;
+      }
+    });
+  }
+
+  isSkippedRegion(element) {
+    if (SKIPPED_TAGS.has(element.tagName.toUpperCase())) return true;
+    if (element.isContentEditable) return true;
+    // Already highlighted, or part of our own UI
+    if (element.hasAttribute('data-trackhub-processed') || element.hasAttribute('data-trackhub-ui')) return true;
+    if (element.hidden || element.getAttribute('aria-hidden') === 'true') return true;
+    if (element.tagName.toUpperCase() === 'TABLE' && this.isLargeTable(element)) return true;
+    return !this.isVisible(element);
+  }
+
+  isVisible(element) {
+    if (typeof element.checkVisibility === 'function') {
+      return element.checkVisibility({ visibilityProperty: true });
+    }
+    const style = getComputedStyle(element);
+    return style.display !== 'none' && style.visibility !== 'hidden';
+  }
+
+  isLargeTable(table) {
+    const rows = table.rows ? table.rows.length : 0;
+    const columns = rows > 0 ? table.rows[0].cells.length : 0;
+    return rows * Math.max(columns, 1) > this.config.maxTableCells;
+  }
+
+  getBlockAncestor(node) {
+    let element = node.parentElement;
+    while (element && INLINE_TAGS.has(element.tagName.toUpperCase())) {
+      element = element.parentElement;
+    }
+    return element;
+  }
+
+  // Each accepted token once per scan, with the element its first character sits in
+  tokenizeBlock(block, previousTail, accept, matches, seen, metrics) {
+    const pattern = new RegExp(this.config.tokenPattern.source, 'g');
+    const text = `${previousTail}\n${block.text}`;
+    const offset = previousTail.length + 1;
+    let match;
+    while ((match = pattern.exec(block.text))) {
+      metrics.tokens++;
+      const token = match[0];
+      if (seen.has(token)) continue;
+
+      const start = match.index + offset;
+      const context = {
+        before: text.slice(Math.max(0, start - this.config.contextBefore), start),
+        after: text.slice(start + token.length, start + token.length + this.config.contextAfter)
+      };
+      if (!accept(token, context)) continue;
+      seen.add(token);
+
+      const piece = block.pieces.filter(candidate => candidate.start <= match.index).pop();
+      matches.push({ token, element: piece ? piece.node.parentElement : block.element });
+      metrics.matches++;
+    }
+  }
+}
+
+export const pageTokenizer = new PageTokenizer();
+export default pageTokenizer;
@@ -0,0 +1,416 @@
+// In-page UI for TrackHub
+// Dialogs and toasts render in a closed shadow root: site CSS can't reach in, and nothing is left behind on close
+
+const STYLES = `
+  :host { all: initial; }
+  .layer {
+    position: fixed;
+    inset: 0;
+    z-index: 2147483647;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+  }
+  .backdrop {
+    position: absolute;
+    inset: 0;
+    background: rgba(0, 0, 0, 0.5);
+  }
+  .dialog {
+    position: relative;
+    background: white;
+    border-radius: 8px;
+    box-shadow: 0 10px 30px rgba(0, 0, 0, 0.3);
+    padding: 20px;
+    min-width: 300px;
+    max-width: 420px;
+    box-sizing: border-box;
+  }
+  h3 { margin: 0 0 10px 0; color: #333; font-size: 18px; font-weight: 600; }
+  p { margin: 0 0 20px 0; color: #666; font-size: 14px; line-height: 1.4; word-break: break-word; }
+  .actions { display: flex; gap: 10px; justify-content: flex-end; }
+  button {
+    padding: 8px 16px;
+    border: none;
+    border-radius: 4px;
+    cursor: pointer;
+    font: inherit;
+    font-size: 14px;
+    background: #f0f0f0;
+    color: #333;
+  }
+  button.primary { background: #667eea; color: white; }
+  button:focus-visible { outline: 2px solid #764ba2; outline-offset: 2px; }
+  .toast {
+    position: fixed;
+    top: 20px;
+    right: 20px;
+    z-index: 2147483647;
+    padding: 12px 20px;
+    border-radius: 4px;
+    color: white;
+    font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+    font-size: 14px;
+    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.2);
+  }
+  .toast.success { background: #4CAF50; }
+  .toast.error { background: #e53935; }
+  .toast.info { background: #667eea; }
+  .panel {
+    position: fixed;
+    bottom: 20px;
+    right: 20px;
+    z-index: 2147483646;
+    width: 340px;
+    max-height: 60vh;
+    display: flex;
+    flex-direction: column;
+    background: white;
+    border-radius: 8px;
+    box-shadow: 0 10px 30px rgba(0, 0, 0, 0.3);
+    font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+    font-size: 13px;
+    color: #333;
+  }
+  .panel-header {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    padding: 10px 12px;
+    background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+    color: white;
+    border-radius: 8px 8px 0 0;
+  }
+  .panel.collapsed .panel-header { border-radius: 8px; }
+  .panel-title { flex: 1; font-weight: 600; margin: 0; font-size: 14px; }
+  .panel-header button { background: transparent; color: white; padding: 2px 6px; }
+  .panel-list { overflow-y: auto; padding: 4px 12px; }
+  .panel.collapsed .panel-list, .panel.collapsed .panel-footer { display: none; }
+  .panel-row {
+    display: grid;
+    grid-template-columns: auto 1fr auto;
+    align-items: center;
+    gap: 4px 8px;
+    padding: 6px 0;
+    border-bottom: 1px solid #eee;
+  }
+  .panel-number { font-family: monospace; word-break: break-all; }
+  .panel-row select { grid-column: 2; font: inherit; font-size: 12px; }
+  .confidence { font-size: 11px; padding: 1px 6px; border-radius: 8px; background: #f0f0f0; }
+  .confidence.high { background: #e8f5e9; color: #2e7d32; }
+  .confidence.medium { background: #fff8e1; color: #8d6e00; }
+  .confidence.low { background: #fdecea; color: #c62828; }
+  .panel-footer { display: flex; justify-content: flex-end; padding: 10px 12px; }
+  button:disabled { opacity: 0.6; cursor: default; }
+  .banner {
+    position: fixed;
+    top: 12px;
+    left: 50%;
+    transform: translateX(-50%);
+    z-index: 2147483646;
+    display: flex;
+    align-items: center;
+    gap: 10px;
+    max-width: min(640px, calc(100vw - 40px));
+    padding: 10px 12px 10px 16px;
+    background: white;
+    border-left: 4px solid #667eea;
+    border-radius: 6px;
+    box-shadow: 0 4px 16px rgba(0, 0, 0, 0.2);
+    font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+    font-size: 14px;
+    color: #333;
+  }
+  .banner-message { flex: 1; word-break: break-word; }
+  .banner button { white-space: nowrap; }
+  .banner .dismiss { background: transparent; padding: 4px 8px; }
+`;
+
+export class PageUI {
+  constructor() {
+    this.host = null;
+    this.root = null;
+    this.closeActiveDialog = null;
+    this.activePanel = null;
+    this.closeActiveBanner = null;
+  }
+
+  // One host element per page, attached to <html> so it stays out of the page's <body> mutations
+  ensureRoot() {
+    if (this.host && this.host.isConnected) return this.root;
+
+    this.host = document.createElement('trackhub-ui');
+    this.host.setAttribute('data-trackhub-ui', 'root');
+    this.root = this.host.attachShadow({ mode: 'closed' });
+
+    const style = document.createElement('style');
+    style.textContent = STYLES;
+    this.root.appendChild(style);
+
+    document.documentElement.appendChild(this.host);
+    return this.root;
+  }
+
+  // buttons: [{ text, primary, action }]. Every way out (button, backdrop, Escape) runs the same teardown.
+  showDialog({ title, message, buttons }) {
+    if (this.closeActiveDialog) this.closeActiveDialog();
+
+    const root = this.ensureRoot();
+    const previousFocus = document.activeElement;
+
+    const layer = this.createElement('div', 'layer');
+    const backdrop = this.createElement('div', 'backdrop');
+    const dialog = this.createElement('div', 'dialog');
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-labelledby', 'trackhub-dialog-title');
+
+    // textContent only: title and message may carry page-derived text
+    const heading = this.createElement('h3');
+    heading.id = 'trackhub-dialog-title';
+    heading.textContent = title;
+    const body = this.createElement('p');
+    body.textContent = message;
+    const actions = this.createElement('div', 'actions');
+
+    let closed = false;
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      layer.remove();
+      if (this.closeActiveDialog === close) this.closeActiveDialog = null;
+      if (previousFocus && typeof previousFocus.focus === 'function' && previousFocus.isConnected) {
+        previousFocus.focus();
+      }
+    };
+
+    const buttonElements = buttons.map(({ text, primary, action }) => {
+      const button = this.createElement('button', primary ? 'primary' : '');
+      button.type = 'button';
+      button.textContent = text;
+      button.addEventListener('click', () => {
+        close();
+        if (action) action();
+      });
+      actions.appendChild(button);
+      return button;
+    });
+
+    backdrop.addEventListener('click', close);
+
+    // Escape closes, Tab cycles between the dialog's buttons only
+    layer.addEventListener('keydown', event => {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        event.stopPropagation();
+        close();
+        return;
+      }
+      if (event.key === 'Tab' && buttonElements.length > 0) {
+        event.preventDefault();
+        const index = buttonElements.indexOf(root.activeElement);
+        const step = event.shiftKey ? -1 : 1;
+        const next = (index + step + buttonElements.length) % buttonElements.length;
+        buttonElements[index === -1 ? 0 : next].focus();
+      }
+    });
+
+    dialog.append(heading, body, actions);
+    layer.append(backdrop, dialog);
+    root.appendChild(layer);
+
+    const initialFocus = buttonElements.find((button, i) => buttons[i].primary) || buttonElements[0];
+    if (initialFocus) initialFocus.focus();
+
+    this.closeActiveDialog = close;
+    return { close };
+  }
+
+  showToast(message, { type = 'success', duration = 3000 } = {}) {
+    const root = this.ensureRoot();
+    const toast = this.createElement('div', `toast ${type}`);
+    toast.setAttribute('role', 'status');
+    toast.textContent = message;
+    root.appendChild(toast);
+
+    setTimeout(() => toast.remove(), duration);
+    return toast;
+  }
+
+  // Collapsible list of detected numbers with a checkbox and carrier override each.
+  // items: [{ number, brand, confidence }], carriers: [{ id, name }], onSubmit(selected) -> Promise.
+  // Returns { update(items), close() }; checkbox and carrier choices survive updates.
+  showPanel({ title, items, carriers, submitText = 'Add selected', onSubmit }) {
+    if (this.activePanel) {
+      this.activePanel.update(items);
+      return this.activePanel;
+    }
+
+    const root = this.ensureRoot();
+    const choices = new Map();
+
+    const panel = this.createElement('section', 'panel');
+    panel.setAttribute('aria-label', title);
+
+    const header = this.createElement('div', 'panel-header');
+    const heading = this.createElement('h3', 'panel-title');
+    const toggle = this.createElement('button');
+    toggle.type = 'button';
+    toggle.setAttribute('aria-expanded', 'true');
+    toggle.setAttribute('aria-label', 'Collapse');
+    toggle.textContent = '▾';
+    const closeButton = this.createElement('button');
+    closeButton.type = 'button';
+    closeButton.setAttribute('aria-label', 'Close');
+    closeButton.textContent = '×';
+    header.append(heading, toggle, closeButton);
+
+    const list = this.createElement('div', 'panel-list');
+    const footer = this.createElement('div', 'panel-footer');
+    const submit = this.createElement('button', 'primary');
+    submit.type = 'button';
+    footer.appendChild(submit);
+
+    const selected = () => [...choices.values()].filter(choice => choice.checked);
+    const refreshSubmit = () => {
+      const count = selected().length;
+      submit.textContent = `${submitText} (${count})`;
+      submit.disabled = count === 0;
+    };
+
+    const render = currentItems => {
+      const numbers = new Set(currentItems.map(item => item.number));
+      [...choices.keys()].forEach(number => {
+        if (!numbers.has(number)) choices.delete(number);
+      });
+
+      list.innerHTML = '';
+      currentItems.forEach(({ number, brand, confidence = 'low' }) => {
+        // Low-confidence guesses start unchecked
+        if (!choices.has(number)) choices.set(number, { number, brand, checked: confidence !== 'low' });
+        const choice = choices.get(number);
+
+        const row = this.createElement('label', 'panel-row');
+        const checkbox = this.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = choice.checked;
+        checkbox.addEventListener('change', () => {
+          choice.checked = checkbox.checked;
+          refreshSubmit();
+        });
+
+        const text = this.createElement('span', 'panel-number');
+        text.textContent = number;
+        const badge = this.createElement('span', `confidence ${confidence}`);
+        badge.textContent = confidence;
+
+        const select = this.createElement('select');
+        select.setAttribute('aria-label', `Carrier for ${number}`);
+        carriers.forEach(({ id, name }) => {
+          const option = this.createElement('option');
+          option.value = id;
+          option.textContent = name;
+          option.selected = id === choice.brand;
+          select.appendChild(option);
+        });
+        select.addEventListener('change', () => { choice.brand = select.value; });
+
+        row.append(checkbox, text, badge, select);
+        list.appendChild(row);
+      });
+
+      heading.textContent = `${title} (${currentItems.length})`;
+      refreshSubmit();
+    };
+
+    const close = () => {
+      panel.remove();
+      if (this.activePanel === controller) this.activePanel = null;
+    };
+
+    toggle.addEventListener('click', () => {
+      const collapsed = panel.classList.toggle('collapsed');
+      toggle.setAttribute('aria-expanded', String(!collapsed));
+      toggle.setAttribute('aria-label', collapsed ? 'Expand' : 'Collapse');
+      toggle.textContent = collapsed ? '▸' : '▾';
+    });
+    closeButton.addEventListener('click', close);
+    submit.addEventListener('click', async () => {
+      submit.disabled = true;
+      try {
+        await onSubmit(selected().map(({ number, brand }) => ({ number, brand })));
+      } finally {
+        refreshSubmit();
+      }
+    });
+
+    panel.append(header, list, footer);
+    root.appendChild(panel);
+
+    const controller = { update: render, close };
+    render(items);
+    this.activePanel = controller;
+    return controller;
+  }
+
+  // Non-modal bar at the top of the page; buttons: [{ text, primary, action }]. One banner at a time.
+  showBanner({ message, buttons }) {
+    if (this.closeActiveBanner) this.closeActiveBanner();
+
+    const root = this.ensureRoot();
+    const banner = this.createElement('div', 'banner');
+    banner.setAttribute('role', 'region');
+    banner.setAttribute('aria-label', 'TrackHub');
+
+    const text = this.createElement('span', 'banner-message');
+    text.textContent = message;
+    banner.appendChild(text);
+
+    const close = () => {
+      banner.remove();
+      if (this.closeActiveBanner === close) this.closeActiveBanner = null;
+    };
+
+    buttons.forEach(({ text: label, primary, action }) => {
+      const button = this.createElement('button', primary ? 'primary' : '');
+      button.type = 'button';
+      button.textContent = label;
+      button.addEventListener('click', () => {
+        close();
+        if (action) action();
+      });
+      banner.appendChild(button);
+    });
+
+    const dismiss = this.createElement('button', 'dismiss');
+    dismiss.type = 'button';
+    dismiss.setAttribute('aria-label', 'Dismiss');
+    dismiss.textContent = '×';
+    dismiss.addEventListener('click', close);
+    banner.appendChild(dismiss);
+
+    root.appendChild(banner);
+    this.closeActiveBanner = close;
+    return { close };
+  }
+
+  // Removes every dialog, toast, panel and banner along with the host element
+  destroy() {
+    if (this.closeActiveDialog) this.closeActiveDialog();
+    if (this.closeActiveBanner) this.closeActiveBanner();
+    if (this.activePanel) this.activePanel.close();
+    if (this.host) this.host.remove();
+    this.host = null;
+    this.root = null;
+  }
+
+  createElement(tag, className = '') {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    return element;
+  }
+}
+
+export const pageUI = new PageUI();
+export default pageUI;
@@ -0,0 +1,164 @@
+// Structured Data Extraction for TrackHub
+// Reads schema.org ParcelDelivery / Order markup (JSON-LD and microdata) that merchant pages and emails embed
+
+const SHIPMENT_TYPES = new Set(['ParcelDelivery']);
+const ORDER_TYPES = new Set(['Order']);
+
+export class StructuredDataExtractor {
+  // One shipment per tracking number:
+  // { trackingNumber, carrierName, carrierUrl, trackingUrl, estimatedDelivery, orderNumber, merchantName, products }
+  extract(root = document) {
+    const shipments = new Map();
+    const emit = (delivery, order) => {
+      const shipment = this.toShipment(delivery, order);
+      if (!shipment) return;
+      const existing = shipments.get(shipment.trackingNumber);
+      shipments.set(shipment.trackingNumber, existing ? this.mergeShipments(existing, shipment) : shipment);
+    };
+
+    [...this.readJsonLd(root), ...this.readMicrodata(root)].forEach(node => this.walk(node, null, emit, new Set()));
+    return [...shipments.values()];
+  }
+
+  // Every ParcelDelivery in the graph, with the Order it sits in (orderDelivery) or points at (partOfOrder)
+  walk(node, order, emit, seen) {
+    if (Array.isArray(node)) {
+      node.forEach(child => this.walk(child, order, emit, seen));
+      return;
+    }
+    if (!node || typeof node !== 'object' || seen.has(node)) return;
+    seen.add(node);
+
+    const types = this.getTypes(node);
+    const currentOrder = types.some(type => ORDER_TYPES.has(type)) ? node : order;
+
+    if (types.some(type => SHIPMENT_TYPES.has(type))) {
+      emit(node, currentOrder || this.first(node.partOfOrder));
+    }
+
+    Object.keys(node).forEach(key => {
+      if (!key.startsWith('@') || key === '@graph') {
+        this.walk(node[key], currentOrder, emit, seen);
+      }
+    });
+  }
+
+  toShipment(delivery, order) {
+    const trackingNumber = this.getText(delivery.trackingNumber);
+    if (!trackingNumber) return null;
+
+    const carrier = this.first(delivery.carrier) || this.first(delivery.provider);
+    const products = [
+      ...this.toArray(delivery.itemShipped),
+      ...(order ? this.toArray(order.orderedItem) : [])
+    ]
+      // OrderItem wraps the Product in its own orderedItem
+      .map(item => this.getText(item && item.orderedItem ? item.orderedItem : item))
+      .filter(Boolean);
+
+    return {
+      trackingNumber: trackingNumber.replace(/\s+/g, ' ').trim(),
+      carrierName: this.getText(carrier),
+      carrierUrl: carrier && typeof carrier === 'object' ? this.getText(carrier.url) : null,
+      trackingUrl: this.getText(delivery.trackingUrl),
+      estimatedDelivery: this.getText(delivery.expectedArrivalFrom) || this.getText(delivery.expectedArrivalUntil),
+      orderNumber: order ? this.getText(order.orderNumber) : null,
+      merchantName: order ? this.getText(this.first(order.seller) || this.first(order.merchant)) : null,
+      products: [...new Set(products)]
+    };
+  }
+
+  // The same delivery often appears twice (JSON-LD and microdata, or nested and top-level); keep every field we got
+  mergeShipments(a, b) {
+    const merged = { ...a };
+    Object.keys(b).forEach(key => {
+      if (key === 'products') {
+        merged.products = [...new Set([...a.products, ...b.products])];
+      } else if (!merged[key] && b[key]) {
+        merged[key] = b[key];
+      }
+    });
+    return merged;
+  }
+
+  // Whether root holds anything extract() reads, so a rescan of a changed subtree can skip it
+  hasMarkup(root) {
+    const selector = 'script[type="application/ld+json"], [itemscope]';
+    return Boolean((root.matches && root.matches(selector)) || root.querySelector(selector));
+  }
+
+  readJsonLd(root) {
+    const nodes = [];
+    root.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+      try {
+        nodes.push(JSON.parse(script.textContent));
+      } catch (error) {
+        // Broken markup on the page is not our problem; the regex scan still runs
+      }
+    });
+    return nodes;
+  }
+
+  // Top-level microdata items as JSON-LD shaped objects
+  readMicrodata(root) {
+    const items = [...root.querySelectorAll('[itemscope]:not([itemprop])')];
+    if (root.matches && root.matches('[itemscope]:not([itemprop])')) items.unshift(root);
+    return items.map(element => this.readMicrodataItem(element));
+  }
+
+  readMicrodataItem(element) {
+    const item = {};
+    const itemType = element.getAttribute('itemtype');
+    if (itemType) item['@type'] = itemType.split(/\s+/);
+
+    element.querySelectorAll('[itemprop]').forEach(property => {
+      // Properties of nested items belong to those items
+      const owner = property.parentElement.closest('[itemscope]');
+      if (owner !== element) return;
+
+      const value = property.hasAttribute('itemscope') ? this.readMicrodataItem(property) : this.getMicrodataValue(property);
+      property.getAttribute('itemprop').split(/\s+/).forEach(name => {
+        if (!(name in item)) item[name] = value;
+        else item[name] = [...this.toArray(item[name]), value];
+      });
+    });
+
+    return item;
+  }
+
+  getMicrodataValue(element) {
+    const tag = element.tagName.toUpperCase();
+    if (tag === 'META') return element.getAttribute('content') || '';
+    if (tag === 'TIME') return element.getAttribute('datetime') || element.textContent.trim();
+    if (['A', 'LINK', 'AREA'].includes(tag)) return element.getAttribute('href') || '';
+    if (['IMG', 'SOURCE', 'AUDIO', 'VIDEO'].includes(tag)) return element.getAttribute('src') || '';
+    if (element.hasAttribute('content')) return element.getAttribute('content');
+    return element.textContent.trim();
+  }
+
+  // 'ParcelDelivery', 'schema:ParcelDelivery' and 'https://schema.org/ParcelDelivery' are the same type
+  getTypes(node) {
+    return this.toArray(node['@type']).map(type => String(type).split(/[/#:]/).pop());
+  }
+
+  // Plain strings, { name }, { '@value' } and one-element arrays all reduce to a string
+  getText(value) {
+    const single = this.first(value);
+    if (single === null || single === undefined) return null;
+    if (typeof single === 'object') return this.getText(single.name || single['@value'] || null);
+    const text = String(single).trim();
+    return text || null;
+  }
+
+  first(value) {
+    return Array.isArray(value) ? value[0] : value;
+  }
+
+  toArray(value) {
+    if (value === null || value === undefined) return [];
+    return Array.isArray(value) ? value : [value];
+  }
+}
+
+export const structuredDataExtractor = new StructuredDataExtractor();
+export default structuredDataExtractor;
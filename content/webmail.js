@@ -0,0 +1,134 @@
+// Webmail Mode for TrackHub
+// Finds the open email in Gmail and Outlook on the web and reads who sent it and what it is about
+
+export const WEBMAIL_PROVIDERS = [
+  {
+    id: 'gmail',
+    hostnames: ['mail.google.com'],
+    // Every expanded message of the thread is a div.adn; the last one is the one just opened
+    message: 'div.adn',
+    body: '.a3s',
+    subject: 'h2.hP',
+    sender: '.gD[email]',
+    messageId: 'data-legacy-message-id'
+  },
+  {
+    id: 'outlook',
+    hostnames: ['outlook.live.com', 'outlook.office.com', 'outlook.office365.com'],
+    message: '#ReadingPaneContainerId, [aria-label="Reading Pane"]',
+    body: '[aria-label="Message body"]',
+    subject: '[role="heading"][aria-level="2"], #ReadingPaneContainerId [role="heading"]',
+    // Outlook shows the sender's name with the address in the title
+    sender: 'span[title*="@"]',
+    messageId: null
+  }
+];
+
+// Shipping confirmations, in the languages our carriers cover; \b would end "expédié" at the é
+const SHIPPING_SUBJECT = /(?<![\p{L}\p{N}])(shipped|has shipped|on (?:its|the) way|out for delivery|dispatched|tracking|shipment|delivery|delivered|versandt|unterwegs|expédié|en route|spedito|enviado|verzonden)(?![\p{L}\p{N}])/iu;
+
+// Merchants by sender domain; other senders fall back to their display name
+const SENDER_MERCHANTS = [
+  { pattern: /(^|\.)amazon\.[a-z.]+$/, merchant: 'amazon', name: 'Amazon' },
+  { pattern: /(^|\.)ebay\.[a-z.]+$/, merchant: 'ebay', name: 'eBay' },
+  { pattern: /(^|\.)walmart\.(com|ca)$/, merchant: 'walmart', name: 'Walmart' },
+  { pattern: /(^|\.)aliexpress\.[a-z.]+$/, merchant: 'aliexpress', name: 'AliExpress' },
+  { pattern: /(^|\.)bestbuy\.(com|ca)$/, merchant: 'bestbuy', name: 'Best Buy' },
+  { pattern: /(^|\.)apple\.com$/, merchant: 'apple', name: 'Apple' }
+];
+
+// "shipped with UPS", "via FedEx Ground", "by DHL Express"
+const SUBJECT_CARRIER = /\b(?:via|with|by)\s+([A-Z][\w&.-]*(?:\s+[A-Z][\w&.-]*)?)/g;
+
+export class WebmailReader {
+  constructor(provider) {
+    this.provider = provider;
+  }
+
+  // { key, body, subject, senderName, senderEmail, senderDomain } for the open email, or null
+  getOpenMessage(doc = document) {
+    const messages = [...doc.querySelectorAll(this.provider.message)]
+      .filter(message => message.querySelector(this.provider.body));
+    const message = messages[messages.length - 1];
+    if (!message) return null;
+
+    const body = message.querySelector(this.provider.body);
+    const bodyText = (body.innerText || body.textContent || '').trim();
+    if (!bodyText) return null;
+
+    const subjectElement = doc.querySelector(this.provider.subject);
+    const subject = subjectElement ? subjectElement.textContent.trim() : '';
+    const sender = message.querySelector(this.provider.sender);
+    const senderEmail = sender ? (sender.getAttribute('email') || this.extractEmail(sender.getAttribute('title'))) : null;
+    const senderName = sender ? (sender.getAttribute('name') || sender.textContent.trim().replace(/<[^>]*>/, '').trim()) : null;
+    const messageId = this.provider.messageId && message.getAttribute(this.provider.messageId);
+
+    return {
+      // Same key for the same email, so re-renders of an open message are not rescanned
+      key: messageId || `${senderEmail}|${subject}|${bodyText.slice(0, 200)}`,
+      body,
+      subject,
+      senderName: senderName || null,
+      senderEmail,
+      senderDomain: senderEmail ? senderEmail.split('@').pop().toLowerCase() : null
+    };
+  }
+
+  isShippingEmail(message) {
+    return SHIPPING_SUBJECT.test(message.subject);
+  }
+
+  // { merchant, merchantName } from the sender
+  inferMerchant(message) {
+    const known = message.senderDomain && SENDER_MERCHANTS.find(({ pattern }) => pattern.test(message.senderDomain));
+    if (known) return { merchant: known.merchant, merchantName: known.name };
+    return { merchant: null, merchantName: message.senderName || message.senderDomain };
+  }
+
+  // Carrier id from the sender domain (ups.com) or a "via FedEx" in the subject, or null
+  inferCarrier(message, registry) {
+    // Amazon's own emails name the merchant, not Amazon Logistics
+    const merchantSender = message.senderDomain && SENDER_MERCHANTS.some(({ pattern }) => pattern.test(message.senderDomain));
+    if (message.senderDomain && !merchantSender) {
+      const bySender = registry.findByName(null, `https://${message.senderDomain}`);
+      if (bySender) return bySender;
+    }
+    for (const match of message.subject.matchAll(SUBJECT_CARRIER)) {
+      const carrier = registry.findByName(match[1]);
+      if (carrier) return carrier;
+    }
+    return null;
+  }
+
+  // First order number in the subject ("Your order #112-1234567-1234567 has shipped", "Order #1234 is on its way");
+  // Shopify numbers keep their "#", the others are tried without it
+  findOrderNumber(message, classifier) {
+    const tokens = message.subject.split(/\s+/).map(token => token.replace(/^[([]+|[)\].,:;!]+$/g, ''));
+    for (const token of tokens) {
+      for (const candidate of new Set([token, token.replace(/^#+/, '')])) {
+        const classification = classifier.classify(candidate);
+        if (classification.type === 'order') return classifier.toOrderReference(classification);
+      }
+    }
+    return null;
+  }
+
+  // Registrable part of the sender domain for the "always import" choice: shipment-tracking.amazon.co.uk -> amazon.co.uk
+  getBaseDomain(domain) {
+    const parts = (domain || '').split('.');
+    const secondLevel = parts[parts.length - 2] || '';
+    const keep = parts.length > 2 && /^(co|com|org|net|ac|gov)$/.test(secondLevel) ? 3 : 2;
+    return parts.slice(-keep).join('.');
+  }
+
+  extractEmail(text) {
+    const match = (text || '').match(/[^\s<>()]+@[^\s<>()]+\.[a-z]{2,}/i);
+    return match ? match[0].toLowerCase() : null;
+  }
+}
+
+// Reader for this page, or null when it is not a supported webmail
+export function getWebmailReader(hostname) {
+  const provider = WEBMAIL_PROVIDERS.find(({ hostnames }) => hostnames.includes(hostname));
+  return provider ? new WebmailReader(provider) : null;
+}
@@ -0,0 +1,61 @@
+// Carrier Registry Check for TrackHub
+// Custom carriers that override a shipped one, and what is left after the override is removed.
+// Run: node fixtures/check-carrier-registry.mjs
+
+import assert from 'node:assert/strict';
+
+const storage = {};
+globalThis.chrome = {
+  storage: {
+    local: {
+      get: async (keys) => Object.fromEntries(keys.filter(key => key in storage).map(key => [key, structuredClone(storage[key])])),
+      set: async (values) => Object.assign(storage, structuredClone(values))
+    }
+  }
+};
+
+const { CarrierRegistry } = await import('../config/carrier-registry.js');
+
+const CHECKS = {
+  'removing an override of a regional carrier restores the shipped one': async () => {
+    const registry = new CarrierRegistry();
+    const shipped = registry.get('dpd');
+
+    await registry.saveCustomCarrier({ id: 'dpd', name: 'DPD Local', patterns: [{ pattern: '^DPD[0-9]{10}$', confidence: 'high' }] });
+    assert.equal(registry.getDisplayName('dpd'), 'DPD Local');
+
+    await registry.removeCustomCarrier('dpd');
+    assert.equal(registry.getDisplayName('dpd'), shipped.name);
+    assert.equal(registry.getTrackingUrl('dpd', '01234567890123'), 'https://tracking.dpd.de/status/en_US/parcel/01234567890123');
+    assert.ok(registry.matchPatterns('01234567890123').some(match => match.carrier === 'dpd'));
+  },
+
+  'removing an override of a postal carrier restores the shipped one': async () => {
+    const registry = new CarrierRegistry();
+    await registry.saveCustomCarrier({ id: 'royalmail', name: 'My Royal Mail', patterns: [] });
+    await registry.removeCustomCarrier('royalmail');
+    assert.equal(registry.getDisplayName('royalmail'), 'Royal Mail');
+    assert.equal(registry.matchPatterns('RR123456785GB')[0].carrier, 'royalmail');
+  },
+
+  'removing a carrier that only exists as a custom one drops it': async () => {
+    const registry = new CarrierRegistry();
+    await registry.saveCustomCarrier({ id: 'acme', name: 'Acme Couriers', patterns: [] });
+    await registry.removeCustomCarrier('acme');
+    assert.equal(registry.get('acme'), null);
+  }
+};
+
+let failures = 0;
+for (const [name, check] of Object.entries(CHECKS)) {
+  try {
+    await check();
+    console.log(`ok   ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`FAIL ${name}`);
+    console.log(`     ${error.message.split('\n')[0]}`);
+  }
+}
+
+process.exitCode = failures > 0 ? 1 : 0;
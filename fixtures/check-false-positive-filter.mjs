@@ -0,0 +1,58 @@
+// False-Positive Filter Check for TrackHub
+// Card and bank account numbers are never accepted, whatever carrier format they also fit.
+// Run: node fixtures/check-false-positive-filter.mjs
+
+import assert from 'node:assert/strict';
+import { isSensitiveNumber, falsePositiveFilter } from '../config/false-positive-filter.js';
+import { carrierRegistry } from '../config/carrier-registry.js';
+
+// Luhn-valid Amex number that FedEx's 15-digit check digit accepts too
+const AMEX_FEDEX = '378734493671000';
+
+const CHECKS = {
+  'an Amex number passing a FedEx check digit is still sensitive': () => {
+    assert.ok(carrierRegistry.matchPatterns(AMEX_FEDEX).some(match => match.carrier === 'fedex' && match.checksumValid === true));
+    assert.equal(isSensitiveNumber(AMEX_FEDEX), true);
+  },
+
+  'the filter rejects it even behind a tracking label': () => {
+    const result = falsePositiveFilter.evaluate(AMEX_FEDEX, { before: 'Tracking number: ', matches: carrierRegistry.matchPatterns(AMEX_FEDEX) });
+    assert.equal(result.accepted, false);
+    assert.equal(result.sensitive, true);
+  },
+
+  'spaced and dashed card numbers are sensitive': () => {
+    assert.equal(isSensitiveNumber('4111 1111 1111 1111'), true);
+    assert.equal(isSensitiveNumber('3782-822463-10005'), true);
+  },
+
+  'IBANs are sensitive': () => {
+    assert.equal(isSensitiveNumber('DE89 3704 0044 0532 0130 00'), true);
+  },
+
+  'tracking numbers that are no card number pass': () => {
+    for (const number of ['1Z999AA10123456784', '9400111899223197428497', 'RR123456785CN']) {
+      assert.equal(isSensitiveNumber(number), false, number);
+    }
+  },
+
+  'Luhn-valid numbers of other lengths are no card number': () => {
+    // 14 and 20 digits, card prefix and Luhn-valid
+    assert.equal(isSensitiveNumber('41111111111114'), false);
+    assert.equal(isSensitiveNumber('41111111111111111115'), false);
+  }
+};
+
+let failures = 0;
+for (const [name, check] of Object.entries(CHECKS)) {
+  try {
+    await check();
+    console.log(`ok   ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`FAIL ${name}`);
+    console.log(`     ${error.message.split('\n')[0]}`);
+  }
+}
+
+process.exitCode = failures > 0 ? 1 : 0;
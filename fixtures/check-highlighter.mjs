@@ -0,0 +1,70 @@
+// Highlighter Check for TrackHub
+// Which page text a stored tracking number highlights, and which it must leave alone.
+// Needs jsdom (npm install --no-save jsdom), then: node fixtures/check-highlighter.mjs
+
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+const { window } = new JSDOM('<!DOCTYPE html><body></body>');
+Object.assign(globalThis, { window, document: window.document, NodeFilter: window.NodeFilter });
+
+const { TrackingHighlighter, HIGHLIGHT_CLASS } = await import('../content/highlighter.js');
+
+// Highlighted text per occurrence, pieces joined
+function highlight(html, items) {
+  document.body.innerHTML = html;
+  const count = new TrackingHighlighter().highlightAll(items);
+  const groups = {};
+  document.querySelectorAll(`.${HIGHLIGHT_CLASS}`).forEach(wrapper => {
+    const id = wrapper.getAttribute('data-trackhub-highlight');
+    groups[id] = (groups[id] || '') + wrapper.textContent;
+  });
+  return { count, texts: Object.values(groups) };
+}
+
+const USPS = { number: '9400111899223197428497', brand: 'usps' };
+const UPS = { number: '1Z999AA10123456784', brand: 'ups' };
+
+const CHECKS = {
+  'a spaced number is one highlight, also across inline markup': () => {
+    const { count, texts } = highlight('<p>Tracking: 9400 1118 9922 <b>3197</b> 4284&nbsp;97</p>', [USPS]);
+    assert.equal(count, 1);
+    assert.deepEqual(texts, ['9400 1118 9922 3197 4284 97']);
+  },
+
+  'a number split across table cells is not highlighted': () => {
+    const { count } = highlight('<table><tr><td>9400 1118 9922</td><td>3197 4284 97</td></tr></table>', [USPS]);
+    assert.equal(count, 0);
+  },
+
+  'a number split across paragraphs is not highlighted': () => {
+    const { count } = highlight('<p>1Z999AA101</p><p>23456784</p>', [UPS]);
+    assert.equal(count, 0);
+  },
+
+  'several numbers in one text node are all wrapped in one pass': () => {
+    const { count, texts } = highlight('<p>1Z999AA10123456784 and 9400111899223197428497, again 1Z999AA10123456784</p>', [UPS, USPS]);
+    assert.equal(count, 3);
+    assert.deepEqual(texts.sort(), ['1Z999AA10123456784', '1Z999AA10123456784', '9400111899223197428497']);
+  },
+
+  'text claimed by one number is not wrapped again for another': () => {
+    const { count, texts } = highlight('<p>9400 1118 9922 3197 4284 97</p>', [{ number: '9400111899223197', brand: 'other' }, USPS]);
+    assert.equal(count, 1);
+    assert.deepEqual(texts, ['9400 1118 9922 3197 4284 97']);
+  }
+};
+
+let failures = 0;
+for (const [name, check] of Object.entries(CHECKS)) {
+  try {
+    await check();
+    console.log(`ok   ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`FAIL ${name}`);
+    console.log(`     ${error.message.split('\n')[0]}`);
+  }
+}
+
+process.exitCode = failures > 0 ? 1 : 0;
@@ -0,0 +1,105 @@
+// Merchant Adapter Check for TrackHub
+// Parses the saved order pages in fixtures/merchant-pages and compares the result with what each page shows.
+// Needs jsdom (npm install --no-save jsdom), then: node fixtures/check-merchant-adapters.mjs
+
+import { readFile } from 'node:fs/promises';
+import { JSDOM } from 'jsdom';
+import { findMerchantAdapter, parseMerchantPage } from '../content/merchant-adapters.js';
+
+const FIXTURES = [
+  {
+    file: 'amazon.html',
+    url: 'https://www.amazon.com/gp/your-account/order-details?orderID=112-1234567-1234567',
+    adapter: 'amazon',
+    shipments: [{
+      trackingNumber: '1Z999AA10123456784',
+      carrierName: 'UPS',
+      orderNumber: '112-1234567-1234567',
+      merchantName: 'Amazon',
+      items: ['Echo Dot (4th Gen) Smart speaker with Alexa']
+    }]
+  },
+  {
+    file: 'ebay.html',
+    url: 'https://order.ebay.com/ord/show?orderId=12-34567-89012',
+    adapter: 'ebay',
+    shipments: [{
+      trackingNumber: '9400111899223197428497',
+      carrierName: 'USPS',
+      estimatedDelivery: '2026-03-12',
+      orderNumber: '12-34567-89012',
+      merchantName: 'eBay',
+      items: ['Vintage Polaroid SX-70 Land Camera']
+    }]
+  },
+  {
+    file: 'walmart.html',
+    url: 'https://www.walmart.com/orders/2000123-45678901',
+    adapter: 'walmart',
+    shipments: [{
+      trackingNumber: '449044304137821',
+      carrierName: 'FedEx',
+      orderNumber: '2000123-45678901',
+      merchantName: 'Walmart',
+      items: ['Mainstays 12-Cup Coffee Maker, Black']
+    }]
+  },
+  {
+    file: 'aliexpress.html',
+    url: 'https://www.aliexpress.com/p/order/detail.html?orderId=8187654321098765',
+    adapter: 'aliexpress',
+    shipments: [{
+      trackingNumber: 'RR123456785CN',
+      carrierName: 'China Post',
+      orderNumber: '8187654321098765',
+      merchantName: 'AliExpress',
+      items: ['USB-C Hub 7 in 1 Adapter']
+    }]
+  },
+  {
+    file: 'shopify.html',
+    url: 'https://shop.example.com/checkouts/cn/abc123/thank_you',
+    adapter: 'shopify',
+    shipments: [{
+      trackingNumber: '9400111899223197428497',
+      carrierName: 'USPS',
+      orderNumber: '1001',
+      merchantName: 'Example Coffee Co.',
+      items: ['House Blend Whole Bean 12oz']
+    }]
+  }
+];
+
+function compare(actual, expected) {
+  const problems = [];
+  if (actual.length !== expected.length) {
+    problems.push(`expected ${expected.length} shipment(s), got ${actual.length}: ${actual.map(shipment => shipment.trackingNumber).join(', ')}`);
+  }
+  expected.forEach((want, index) => {
+    const got = actual[index] || {};
+    for (const [field, value] of Object.entries(want)) {
+      const gotValue = field === 'items' ? (got.items || []).map(item => item.title) : got[field];
+      if (JSON.stringify(gotValue) !== JSON.stringify(value)) {
+        problems.push(`${field}: expected ${JSON.stringify(value)}, got ${JSON.stringify(gotValue)}`);
+      }
+    }
+  });
+  return problems;
+}
+
+let failures = 0;
+for (const fixture of FIXTURES) {
+  const html = await readFile(new URL(`./merchant-pages/${fixture.file}`, import.meta.url), 'utf8');
+  const doc = new JSDOM(html, { url: fixture.url }).window.document;
+
+  const adapter = findMerchantAdapter(doc, fixture.url);
+  const problems = adapter && adapter.id === fixture.adapter
+    ? compare(parseMerchantPage(doc, fixture.url), fixture.shipments)
+    : [`expected the ${fixture.adapter} adapter, got ${adapter ? adapter.id : 'none'}`];
+
+  if (problems.length > 0) failures++;
+  console.log(`${problems.length === 0 ? 'ok  ' : 'FAIL'} ${fixture.file}`);
+  problems.forEach(problem => console.log(`     ${problem}`));
+}
+
+process.exitCode = failures > 0 ? 1 : 0;
@@ -0,0 +1,46 @@
+// Site Rules Check for TrackHub
+// Built-in rules turn detection off on document sites without switching off webmail on the same domains.
+// Run: node fixtures/check-site-rules.mjs
+
+import assert from 'node:assert/strict';
+import { siteRules, SITE_RULES_CONFIG } from '../config/site-rules.js';
+import { WEBMAIL_PROVIDERS } from '../content/webmail.js';
+
+const builtIn = SITE_RULES_CONFIG.builtInRules;
+
+const CHECKS = {
+  'Outlook for work accounts keeps detection on': () => {
+    assert.equal(siteRules.matchRule(builtIn, 'outlook.office.com').detect, true);
+    assert.equal(siteRules.matchRule(builtIn, 'outlook.office365.com').detect, true);
+  },
+
+  'every webmail host keeps detection on': () => {
+    for (const hostname of WEBMAIL_PROVIDERS.flatMap(provider => provider.hostnames)) {
+      assert.equal(siteRules.matchRule(builtIn, hostname).detect, true, hostname);
+    }
+  },
+
+  'Office documents stay off': () => {
+    assert.equal(siteRules.matchRule(builtIn, 'www.office.com').detect, false);
+    assert.equal(siteRules.matchRule(builtIn, 'word.office.com').detect, false);
+  },
+
+  'a user rule still wins over the webmail exemption': () => {
+    const rules = { ...builtIn, 'outlook.office.com': { detect: false } };
+    assert.equal(siteRules.matchRule(rules, 'outlook.office.com').detect, false);
+  }
+};
+
+let failures = 0;
+for (const [name, check] of Object.entries(CHECKS)) {
+  try {
+    await check();
+    console.log(`ok   ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`FAIL ${name}`);
+    console.log(`     ${error.message.split('\n')[0]}`);
+  }
+}
+
+process.exitCode = failures > 0 ? 1 : 0;
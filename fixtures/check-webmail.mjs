@@ -0,0 +1,41 @@
+// Webmail Check for TrackHub
+// Order numbers read from shipping email subjects.
+// Run: node fixtures/check-webmail.mjs
+
+import assert from 'node:assert/strict';
+import { WebmailReader, WEBMAIL_PROVIDERS } from '../content/webmail.js';
+import { tokenClassifier } from '../config/token-classifier.js';
+
+const reader = new WebmailReader(WEBMAIL_PROVIDERS[0]);
+const orderIn = subject => reader.findOrderNumber({ subject }, tokenClassifier);
+
+const CHECKS = {
+  'Shopify order numbers keep their "#"': () => {
+    const reference = orderIn('Order #1234 has shipped');
+    assert.equal(reference && reference.orderNumber, '#1234');
+    assert.equal(reference.merchant, 'shopify');
+  },
+
+  'other merchants are found with or without "#"': () => {
+    assert.equal(orderIn('Your order #112-1234567-1234567 has shipped').orderNumber, '112-1234567-1234567');
+    assert.equal(orderIn('Your eBay order (12-34567-89012) is on its way!').orderNumber, '12-34567-89012');
+  },
+
+  'subjects without an order number give null': () => {
+    assert.equal(orderIn('Your package is out for delivery'), null);
+  }
+};
+
+let failures = 0;
+for (const [name, check] of Object.entries(CHECKS)) {
+  try {
+    await check();
+    console.log(`ok   ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`FAIL ${name}`);
+    console.log(`     ${error.message.split('\n')[0]}`);
+  }
+}
+
+process.exitCode = failures > 0 ? 1 : 0;
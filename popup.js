@@ -159,91 +159,100 @@ class OAuthManager {
 class TrackingStateManager {
   constructor() {
     this.editingItems = new Set();
-    this.carrierPatterns = this.initializeCarrierPatterns();
+    this.detection = null;
+    this.registry = null;
+    this.classifier = null;
   }
 
-  initializeCarrierPatterns() {
-    return {
-      ups: [
-        { pattern: /^1Z[0-9A-Z]{16}$/, confidence: 'high' },
-        { pattern: /^[0-9]{10,}$/, confidence: 'medium' },
-        { pattern: /^T[0-9]{10}$/, confidence: 'high' }
-      ],
-      fedex: [
-        { pattern: /^[0-9]{12}$/, confidence: 'high' },
-        { pattern: /^[0-9]{14}$/, confidence: 'high' },
-        { pattern: /^[0-9]{15}$/, confidence: 'high' },
-        { pattern: /^[0-9]{20}$/, confidence: 'high' }
-      ],
-      usps: [
-        { pattern: /^[A-Z]{2}[0-9]{9}[A-Z]{2}$/, confidence: 'high' },
-        { pattern: /^[0-9]{4}\s[0-9]{4}\s[0-9]{4}\s[0-9]{4}$/, confidence: 'high' },
-        { pattern: /^[0-9]{20}$/, confidence: 'medium' }
-      ],
-      dhl: [
-        { pattern: /^[0-9]{10,11}$/, confidence: 'medium' },
-        { pattern: /^[0-9]{12}$/, confidence: 'medium' }
-      ],
-      amazon: [
-        { pattern: /^TBA[0-9]{10}$/, confidence: 'high' },
-        { pattern: /^TBA[0-9]{12}$/, confidence: 'high' }
-      ]
-    };
+  // Carrier data lives in config/carrier-registry.js, attached once the popup loads it
+  setDetectionService(detection) {
+    this.detection = detection;
+    this.registry = detection.registry;
+    this.classifier = detection.classifier;
   }
 
-  detectCarrier(trackingNumber) {
-    const number = trackingNumber.trim();
-    const results = [];
+  // tracking / order / return_authorization / unknown
+  classifyToken(token) {
+    return this.classifier.classify(token);
+  }
 
-    Object.entries(this.carrierPatterns).forEach(([carrier, patterns]) => {
-      patterns.forEach(({ pattern, confidence }) => {
-        if (pattern.test(number)) {
-          results.push({ carrier, confidence });
-        }
-      });
-    });
+  // Free-form order numbers are kept even when no merchant format matches
+  buildOrderReference(orderNumber) {
+    const classification = this.classifyToken(orderNumber);
+    if (classification.type === 'order') {
+      return this.classifier.toOrderReference(classification);
+    }
+    return { orderNumber: orderNumber.trim(), merchant: null, merchantName: null };
+  }
 
-    results.sort((a, b) => {
-      const confidenceOrder = { high: 3, medium: 2, low: 1 };
-      return confidenceOrder[b.confidence] - confidenceOrder[a.confidence];
-    });
+  formatOrderReference(orderReference) {
+    const merchant = orderReference.merchantName ? `${orderReference.merchantName} order` : 'Order';
+    return `🧾 ${merchant} ${orderReference.orderNumber}`;
+  }
+
+  detectCarrier(trackingNumber) {
+    return this.detectCarrierCandidates(trackingNumber).carrier;
+  }
 
-    return results.length > 0 ? results[0].carrier : 'other';
+  // Ranked candidates: { carrier, confidence, alternatives, ambiguous }
+  detectCarrierCandidates(trackingNumber) {
+    return this.detection.rankCarriersFromPattern(trackingNumber);
   }
 
   getAvailableCarriers() {
-    return [
-      { value: 'ups', label: 'UPS', icon: '🚚' },
-      { value: 'fedex', label: 'FedEx', icon: '📦' },
-      { value: 'usps', label: 'USPS', icon: '📮' },
-      { value: 'dhl', label: 'DHL', icon: '🌍' },
-      { value: 'amazon', label: 'Amazon', icon: '📱' },
-      { value: 'other', label: 'Other', icon: '📦' }
-    ];
+    return this.registry.getAll().map(carrier => ({
+      value: carrier.id,
+      label: carrier.name,
+      icon: carrier.icon
+    }));
   }
 
-  suggestCarrier(trackingNumber) {
-    const detectedCarrier = this.detectCarrier(trackingNumber);
+  // Pattern ranking plus carriers the user taught us through corrections
+  async suggestCarrier(trackingNumber) {
+    const ranked = await this.detection.detectCarrierFromContext(trackingNumber);
     const availableCarriers = this.getAvailableCarriers();
-    const carrierInfo = availableCarriers.find(c => c.value === detectedCarrier);
+    const carrierInfo = availableCarriers.find(c => c.value === ranked.carrier);
 
     return {
-      suggested: detectedCarrier,
-      confidence: this.getCarrierConfidence(trackingNumber, detectedCarrier),
-      carrierInfo: carrierInfo || { value: 'other', label: 'Other', icon: '📦' }
+      suggested: ranked.carrier,
+      confidence: ranked.confidence,
+      score: ranked.score,
+      explanation: ranked.explanation,
+      carrierInfo: carrierInfo || { value: 'other', label: 'Other', icon: '📦' },
+      alternatives: ranked.alternatives.map(alternative => ({
+        ...alternative,
+        carrierInfo: availableCarriers.find(c => c.value === alternative.carrier)
+      })),
+      ambiguous: ranked.ambiguous
     };
   }
 
-  getCarrierConfidence(trackingNumber, carrier) {
-    const patterns = this.carrierPatterns[carrier] || [];
-    const number = trackingNumber.trim();
+  // One line for the suggestion hint: "UPS 0.92 - Matches ^1Z... (high), check digit valid"
+  formatScoreHint(suggestion) {
+    const reasons = suggestion.explanation.map(signal => signal.reason).join(' · ');
+    return `${suggestion.carrierInfo.label} ${suggestion.score.toFixed(2)} - ${reasons}`;
+  }
 
-    for (const { pattern, confidence } of patterns) {
-      if (pattern.test(number)) {
-        return confidence;
-      }
+  // Every candidate with the signals behind its score, for the debug modal
+  formatScoreReport(trackingNumber, suggestion) {
+    let output = `CARRIER DETECTION: ${trackingNumber}\n`;
+    output += '-'.repeat(60) + '\n';
+    suggestion.alternatives.forEach(alternative => {
+      const label = alternative.carrierInfo ? alternative.carrierInfo.label : alternative.carrier;
+      output += `${label}: ${alternative.score.toFixed(2)} (${alternative.confidence})\n`;
+      alternative.explanation.forEach(signal => {
+        output += `   ${signal.strength.toFixed(2)} ${signal.source}: ${signal.reason}\n`;
+      });
+    });
+    if (suggestion.ambiguous) {
+      output += 'Close call - the user is asked to pick\n';
     }
-    return 'low';
+    return output;
+  }
+
+  getCarrierConfidence(trackingNumber, carrier) {
+    const match = this.registry.matchPatterns(trackingNumber).find(result => result.carrier === carrier);
+    return match ? match.confidence : 'low';
   }
 
   validateTrackingItem(data) {
@@ -296,15 +305,17 @@ class TrackingStateManager {
   }
 
   getTrackingUrl(brand, trackingNumber) {
-    const urls = {
-      'ups': `https://www.ups.com/track?trackingNumber=${trackingNumber}`,
-      'fedex': `https://www.fedex.com/fedextrack/?trknbr=${trackingNumber}`,
-      'usps': `https://tools.usps.com/go/TrackConfirmAction?qtc_tLabels1=${trackingNumber}`,
-      'dhl': `https://www.dhl.com/tracking?trackingNumber=${trackingNumber}`,
-      'amazon': `https://www.amazon.com/progress-tracker/package/${trackingNumber}`,
-      'other': null
-    };
-    return urls[brand.toLowerCase()] || null;
+    return this.registry.getTrackingUrl(brand, trackingNumber);
+  }
+
+  // Fills a carrier select; built as elements since custom carriers come from storage, not from us
+  renderCarrierOptions(select, selected = '') {
+    select.replaceChildren(
+      new Option('Select Carrier', ''),
+      ...this.getAvailableCarriers().map(carrier =>
+        new Option(`${carrier.icon} ${carrier.label}`, carrier.value, false, carrier.value === selected)
+      )
+    );
   }
 
   isEditing(itemId) {
@@ -375,6 +386,9 @@ class TrackHubPopup {
         try {
             console.log('Initializing enhanced TrackHub popup...');
             
+            // Load shared carrier definitions before anything detects or renders carriers
+            await this.loadCarrierRegistry();
+            
             // Setup event listeners first
             this.setupEventListeners();
             
@@ -384,8 +398,8 @@ class TrackHubPopup {
             // Check authentication status
             await this.checkAuthStatus();
             
-            // Process any pending backend requests
-            await this.processPendingBackendRequests();
+            // Background owns the outbox; opening the popup is a good moment to retry it
+            await this.refreshOutboxStatus();
             
         } catch (error) {
             console.error('Error initializing popup:', error);
@@ -393,6 +407,15 @@ class TrackHubPopup {
         }
     }
 
+    async loadCarrierRegistry() {
+        const { carrierDetection } = await import('./config/carrier-detection.js');
+        await carrierDetection.registry.loadCustomCarriers();
+        this.stateManager.setDetectionService(carrierDetection);
+        
+        // Fill the quick add carrier select from the registry
+        this.stateManager.renderCarrierOptions(document.getElementById('brand'));
+    }
+
     setupEventListeners() {
         // Google OAuth login
         document.getElementById('googleLoginBtn').addEventListener('click', (e) => {
@@ -446,6 +469,17 @@ class TrackHubPopup {
             this.syncData();
         });
 
+        // Failed backend writes: click to retry them
+        document.getElementById('outboxStatus').addEventListener('click', () => {
+            this.retryOutbox();
+        });
+
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && changes.trackhub_outbox) {
+                this.renderOutboxStatus();
+            }
+        });
+
         // API Debug button
         document.getElementById('apiDebugBtn').addEventListener('click', () => {
             this.openDebugModal();
@@ -485,9 +519,25 @@ class TrackHubPopup {
         }
 
         // Settings navigation
+        document.getElementById('settingsBtn').addEventListener('click', () => {
+            this.openSettings();
+        });
+
         document.getElementById('backToDashboardBtn').addEventListener('click', () => {
             this.showSection('dashboardSection');
         });
+
+        document.getElementById('resetLearnedRulesBtn').addEventListener('click', () => {
+            this.resetLearnedRules();
+        });
+
+        document.getElementById('saveSiteRuleBtn').addEventListener('click', () => {
+            this.saveSiteRule();
+        });
+
+        document.getElementById('addTrustedSenderBtn').addEventListener('click', () => {
+            this.addTrustedSender();
+        });
     }
 
     setupMessageListener() {
@@ -506,22 +556,21 @@ class TrackHubPopup {
                 this.syncTrackingToBackend(request.data);
             }
             
-            if (request.action === 'submitBackendRequest') {
-                console.log('🟡 Popup: Received backend request from background:', request.data);
-                // Submit the backend request prepared by background script
-                this.submitBackendRequest(request.data);
-            }
-            
             sendResponse({ received: true });
         });
     }
 
     // Handle tracking number input change for auto-detection
-    handleTrackingNumberChange(trackingNumber) {
+    async handleTrackingNumberChange(trackingNumber) {
         if (!trackingNumber || trackingNumber.trim().length === 0) {
             return;
         }
 
+        // Pasted order IDs still have their dashes here, before normalization strips them
+        if (this.moveOrderNumberOutOfTrackingField(this.stateManager.classifyToken(trackingNumber))) {
+            return;
+        }
+
         // Normalize the tracking number
         const normalizedNumber = this.stateManager.normalizeTrackingNumber(trackingNumber);
         
@@ -532,16 +581,92 @@ class TrackHubPopup {
         }
 
         // Auto-detect carrier
-        const suggestion = this.stateManager.suggestCarrier(normalizedNumber);
+        const suggestion = await this.stateManager.suggestCarrier(normalizedNumber);
+        
+        // User kept typing while we looked up learned rules
+        if (inputField.value !== normalizedNumber) {
+            return;
+        }
+        
+        // Close call between carriers - let the user pick instead of guessing
+        if (suggestion.ambiguous) {
+            document.getElementById('brand').value = '';
+            this.hideCarrierHint();
+            this.showCarrierChoices(suggestion.alternatives);
+            return;
+        }
+        this.hideCarrierChoices();
         
         if (suggestion.confidence === 'high' || suggestion.confidence === 'medium') {
             // Auto-select the detected carrier
             const brandSelect = document.getElementById('brand');
             brandSelect.value = suggestion.suggested;
             
-            // Show suggestion to user
-            this.showMessage(`Detected ${suggestion.carrierInfo.label} carrier`, 'info');
+            // Show suggestion to user, with what it was based on
+            this.showCarrierHint(this.stateManager.formatScoreHint(suggestion));
+        } else {
+            this.hideCarrierHint();
+        }
+    }
+
+    // Order numbers are stored as a reference on the item, never as the shipment itself
+    moveOrderNumberOutOfTrackingField(classification) {
+        // Never keep a card number around, not even in the form
+        if (classification.type === 'sensitive') {
+            document.getElementById('trackingNumber').value = '';
+            this.hideCarrierChoices();
+            this.showMessage('That looks like a payment card or bank account number - it was cleared and not saved', 'error');
+            return true;
+        }
+
+        if (classification.type === 'return_authorization') {
+            this.showMessage(`${classification.token} looks like a return authorization, not a tracking number`, 'error');
+            return true;
+        }
+
+        if (classification.type !== 'order') {
+            return false;
         }
+
+        document.getElementById('orderNumber').value = classification.token;
+        document.getElementById('trackingNumber').value = '';
+        this.hideCarrierChoices();
+        this.showMessage(`${classification.merchantName} order number moved to Order Number - enter the shipment's tracking number instead`, 'info');
+        return true;
+    }
+
+    showCarrierChoices(alternatives) {
+        const container = document.getElementById('carrierChoices');
+        container.innerHTML = '<span>Which carrier is this?</span>';
+        
+        alternatives.slice(0, 4).forEach(alternative => {
+            const info = alternative.carrierInfo || { value: alternative.carrier, label: alternative.carrier, icon: '📦' };
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'carrier-choice';
+            button.textContent = `${info.icon} ${info.label}`;
+            button.addEventListener('click', () => {
+                document.getElementById('brand').value = info.value;
+                this.hideCarrierChoices();
+            });
+            container.appendChild(button);
+        });
+        
+        container.classList.remove('hidden');
+    }
+
+    hideCarrierChoices() {
+        document.getElementById('carrierChoices').classList.add('hidden');
+    }
+
+    showCarrierHint(text) {
+        const hint = document.getElementById('carrierHint');
+        hint.textContent = text;
+        hint.classList.remove('hidden');
+    }
+
+    hideCarrierHint() {
+        document.getElementById('carrierHint').classList.add('hidden');
     }
 
     async checkAuthStatus() {
@@ -705,6 +830,13 @@ class TrackHubPopup {
         const trackingNumber = document.getElementById('trackingNumber').value;
         const brand = document.getElementById('brand').value;
         const description = document.getElementById('description').value;
+        const orderNumber = document.getElementById('orderNumber').value;
+
+        if (this.moveOrderNumberOutOfTrackingField(this.stateManager.classifyToken(
+            this.stateManager.normalizeTrackingNumber(trackingNumber)
+        ))) {
+            return;
+        }
 
         if (!trackingNumber || !brand) {
             this.showMessage('Please fill in tracking number and brand', 'error');
@@ -742,38 +874,15 @@ class TrackHubPopup {
                 status: 'pending'
             };
 
+            if (orderNumber.trim()) {
+                trackingItem.orderReference = this.stateManager.buildOrderReference(orderNumber);
+            }
+
             // Add to local storage first for immediate UI update
             this.trackingItems.push(trackingItem);
             await this.saveTrackingItems();
 
-            // Try to save to backend
-            try {
-                console.log('🟡 Attempting to save tracking to backend...');
-                const { TrackingService } = await import('./config/tracking-service.js');
-                const trackingService = new TrackingService();
-                
-                const backendResult = await trackingService.addTrackingToBackend(trackingItem);
-                
-                // Update local item with backend ID
-                const updatedItem = {
-                    ...trackingItem,
-                    backendId: backendResult.backendId
-                };
-                
-                // Update the item in local storage
-                const itemIndex = this.trackingItems.findIndex(item => item.id === trackingItem.id);
-                if (itemIndex !== -1) {
-                    this.trackingItems[itemIndex] = updatedItem;
-                    await this.saveTrackingItems();
-                }
-                
-                console.log('🟢 Tracking saved to backend successfully with ID:', backendResult.backendId);
-            } catch (backendError) {
-                console.error('🔴 Failed to save to backend, keeping local only:', backendError);
-                // Don't show error to user, item is saved locally
-            }
-
-            // Send to background script for external webapp sync
+            // Background queues the backend write and forwards to the external webapp
             chrome.runtime.sendMessage({
                 action: 'addTracking',
                 data: trackingItem
@@ -781,6 +890,8 @@ class TrackHubPopup {
 
             // Clear form
             document.getElementById('trackingForm').reset();
+            this.hideCarrierChoices();
+            this.hideCarrierHint();
             
             // Refresh display
             await this.loadTrackingItems();
@@ -844,6 +955,7 @@ class TrackHubPopup {
                         <div class="tracking-number">${this.stateManager.formatTrackingNumber(item.trackingNumber, item.brand)}</div>
                         <div class="tracking-brand">${this.stateManager.getCarrierIcon(item.brand)} ${this.stateManager.getCarrierLabel(item.brand)}</div>
                         ${item.description ? `<div class="tracking-description">${item.description}</div>` : ''}
+                        ${item.orderReference ? '<div class="tracking-order"></div>' : ''}
                     </div>
                     <div class="tracking-actions">
                         <button class="btn-icon track-btn" title="Track Package">
@@ -880,6 +992,9 @@ class TrackHubPopup {
                     </div>
                 </div>
             `;
+            if (item.orderReference) {
+                itemElement.querySelector('.tracking-order').textContent = this.stateManager.formatOrderReference(item.orderReference);
+            }
             container.appendChild(itemElement);
         });
 
@@ -948,33 +1063,32 @@ class TrackHubPopup {
                     </div>
                     <div class="input-group">
                         <label>Carrier</label>
-                        <select class="edit-brand" required>
-                            <option value="">Select Carrier</option>
-                            <option value="ups" ${item.brand === 'ups' ? 'selected' : ''}>🚚 UPS</option>
-                            <option value="fedex" ${item.brand === 'fedex' ? 'selected' : ''}>📦 FedEx</option>
-                            <option value="usps" ${item.brand === 'usps' ? 'selected' : ''}>📮 USPS</option>
-                            <option value="dhl" ${item.brand === 'dhl' ? 'selected' : ''}>🌍 DHL</option>
-                            <option value="amazon" ${item.brand === 'amazon' ? 'selected' : ''}>📱 Amazon</option>
-                            <option value="other" ${item.brand === 'other' ? 'selected' : ''}>📦 Other</option>
-                        </select>
+                        <select class="edit-brand" required></select>
                     </div>
                 </div>
                 <div class="input-group">
                     <label>Description</label>
                     <input type="text" class="edit-description" value="${item.description || ''}" placeholder="Package description">
                 </div>
+                <div class="input-group">
+                    <label>Notify me when</label>
+                    <div class="edit-status-notifications"></div>
+                </div>
                 <div class="edit-actions">
                     <button class="btn btn-primary btn-small save-btn">Save</button>
                     <button class="btn btn-secondary btn-small cancel-btn">Cancel</button>
                 </div>
             </div>
         `;
+        this.stateManager.renderCarrierOptions(editableForm.querySelector('.edit-brand'), item.brand);
 
         // Replace locked state with editable state
         const lockedState = itemElement.querySelector('.tracking-item-locked');
         lockedState.style.display = 'none';
         itemElement.appendChild(editableForm);
 
+        this.renderItemNotificationToggles(editableForm.querySelector('.edit-status-notifications'), item);
+
         // Add event listeners for save/cancel
         editableForm.querySelector('.save-btn').addEventListener('click', () => {
             this.saveTrackingItem(itemId);
@@ -995,6 +1109,42 @@ class TrackHubPopup {
         }
     }
 
+    // Starts from the item's own choices, falling back to the global settings
+    async renderItemNotificationToggles(container, item) {
+        try {
+            const { statusNotifier, STATUS_EVENTS } = await import('./config/status-notifications.js');
+            const settings = await statusNotifier.getSettings();
+            Object.entries(STATUS_EVENTS).forEach(([event, { label }]) => {
+                const labelElement = document.createElement('label');
+                labelElement.className = 'inline-checkbox';
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.dataset.statusEvent = event;
+                checkbox.checked = statusNotifier.isEnabled(event, { ...item, notificationsSnoozedUntil: null }, settings);
+                labelElement.append(checkbox, ` ${label}`);
+                container.appendChild(labelElement);
+            });
+        } catch (error) {
+            console.error('Error rendering item notification toggles:', error);
+        }
+    }
+
+    // Only choices that differ from the global settings are kept on the item
+    async readItemNotificationOverrides(container) {
+        const checkboxes = container ? container.querySelectorAll('input[data-status-event]') : [];
+        if (checkboxes.length === 0) return undefined;
+
+        const { statusNotifier } = await import('./config/status-notifications.js');
+        const settings = await statusNotifier.getSettings();
+        const overrides = {};
+        checkboxes.forEach(checkbox => {
+            if (checkbox.checked !== settings[checkbox.dataset.statusEvent]) {
+                overrides[checkbox.dataset.statusEvent] = checkbox.checked;
+            }
+        });
+        return overrides;
+    }
+
     // Cancel edit mode
     cancelEdit(itemId) {
         const itemElement = document.querySelector(`[data-item-id="${itemId}"]`);
@@ -1050,13 +1200,26 @@ class TrackHubPopup {
             // Update the item
             const item = this.trackingItems.find(i => i.id === itemId);
             if (item) {
+                // Carrier changed by hand - remember it for this number shape and source site
+                if (item.brand !== brand) {
+                    await this.learnCarrierCorrection(item, normalizedTrackingNumber, brand);
+                }
+
                 item.trackingNumber = normalizedTrackingNumber;
                 item.brand = brand;
                 item.description = description.trim();
                 item.updatedAt = new Date().toISOString();
 
+                const overrides = await this.readItemNotificationOverrides(editableState.querySelector('.edit-status-notifications'));
+                if (overrides && Object.keys(overrides).length > 0) {
+                    item.statusNotifications = overrides;
+                } else if (overrides) {
+                    delete item.statusNotifications;
+                }
+
                 // Save to storage
                 await this.saveTrackingItems();
+                this.queueBackendWrite('update', item);
 
                 // Exit edit mode
                 this.cancelEdit(itemId);
@@ -1072,6 +1235,20 @@ class TrackHubPopup {
         }
     }
 
+    async learnCarrierCorrection(item, trackingNumber, brand) {
+        try {
+            const { carrierCorrections } = await import('./config/carrier-corrections.js');
+            await carrierCorrections.recordCorrection({
+                trackingNumber,
+                fromCarrier: item.brand,
+                toCarrier: brand,
+                domain: item.sourceDomain || null
+            });
+        } catch (error) {
+            console.error('Error recording carrier correction:', error);
+        }
+    }
+
     async trackPackage(itemId) {
         const item = this.trackingItems.find(i => i.id === itemId);
         if (!item) return;
@@ -1110,19 +1287,7 @@ class TrackHubPopup {
             this.trackingItems = this.trackingItems.filter(item => item.id !== itemId);
             await this.saveTrackingItems();
 
-            // Try to delete from backend if it has a backend ID
-            if (itemToDelete.backendId) {
-                try {
-                    const { TrackingService } = await import('./config/tracking-service.js');
-                    const trackingService = new TrackingService();
-                    
-                    await trackingService.deleteTrackingFromBackend(itemToDelete);
-                    console.log('Tracking deleted from backend successfully');
-                } catch (backendError) {
-                    console.error('Failed to delete from backend:', backendError);
-                    // Don't show error to user, item is deleted locally
-                }
-            }
+            this.queueBackendWrite('delete', itemToDelete);
 
             // Refresh display
             await this.loadTrackingItems();
@@ -1141,61 +1306,6 @@ class TrackHubPopup {
         }
     }
 
-    async submitBackendRequest(requestData) {
-        try {
-            console.log('🟡 Popup: Submitting backend request prepared by background:', requestData);
-            
-            const { trackingItem, requestData: backendRequest } = requestData;
-            
-            // Submit the request prepared by background script
-            console.log('🔵 Popup: Submitting request with headers:', backendRequest.headers);
-            console.log('🔵 Popup: Authorization header value:', backendRequest.headers.Authorization);
-            console.log('🔵 Popup: Request body:', backendRequest.body);
-            
-            const response = await fetch(backendRequest.url, {
-                method: backendRequest.method,
-                headers: backendRequest.headers,
-                body: JSON.stringify(backendRequest.body)
-            });
-
-            console.log('🔵 Response status:', response.status);
-            console.log('🔵 Response headers:', Object.fromEntries(response.headers.entries()));
-
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
-                console.error('🔴 Backend request failed:', response.status, errorData);
-                
-                // Log detailed validation errors
-                if (response.status === 400 && errorData.details) {
-                    console.error('🔴 Validation details:', errorData.details);
-                }
-                
-                throw new Error(`Backend request failed: ${response.status} ${response.statusText}`);
-            }
-
-            const data = await response.json();
-            console.log('🟢 Backend request successful:', data);
-            
-            // Update local item with backend ID
-            const updatedItem = {
-                ...trackingItem,
-                backendId: data.id || data.trackingId
-            };
-            
-            // Update the item in local storage
-            const itemIndex = this.trackingItems.findIndex(item => item.id === trackingItem.id);
-            if (itemIndex !== -1) {
-                this.trackingItems[itemIndex] = updatedItem;
-                await this.saveTrackingItems();
-            }
-            
-            console.log('🟢 Popup: Tracking synced to backend successfully with ID:', data.id || data.trackingId);
-        } catch (error) {
-            console.error('🔴 Popup: Failed to submit backend request:', error);
-            // Don't show error to user, item is saved locally
-        }
-    }
-
     async syncTrackingToBackend(trackingItem) {
         try {
             console.log('🟡 Popup: Syncing tracking to backend:', trackingItem);
@@ -1225,30 +1335,48 @@ class TrackHubPopup {
         }
     }
 
-    async processPendingBackendRequests() {
-        try {
-            const result = await chrome.storage.local.get(['pendingBackendRequests']);
-            const pendingRequests = result.pendingBackendRequests || [];
-            
-            if (pendingRequests.length > 0) {
-                console.log(`🟡 Popup: Processing ${pendingRequests.length} pending backend requests`);
-                
-                for (const request of pendingRequests) {
-                    try {
-                        await this.submitBackendRequest(request);
-                        console.log('🟢 Popup: Processed pending backend request');
-                    } catch (error) {
-                        console.error('🔴 Popup: Failed to process pending backend request:', error);
-                    }
-                }
-                
-                // Clear processed requests
-                await chrome.storage.local.remove(['pendingBackendRequests']);
-                console.log('🟢 Popup: Cleared processed pending requests');
+    // Background sends it to the backend, now or once it is reachable; the local change is already saved
+    queueBackendWrite(type, item) {
+        chrome.runtime.sendMessage({ action: 'queueBackendWrite', data: { type, item } }, (response) => {
+            if (chrome.runtime.lastError || !response || !response.success) {
+                console.error(`Error queueing backend ${type}:`, chrome.runtime.lastError ? chrome.runtime.lastError.message : response && response.error);
+                this.showMessage('Saved on this device, but not queued for your account', 'error');
             }
+            this.renderOutboxStatus().catch(error => console.error('Error reading outbox:', error));
+        });
+    }
+
+    async refreshOutboxStatus() {
+        try {
+            await chrome.runtime.sendMessage({ action: 'flushOutbox' });
         } catch (error) {
-            console.error('Error processing pending backend requests:', error);
+            console.error('Error flushing outbox:', error);
         }
+        await this.renderOutboxStatus();
+    }
+
+    async retryOutbox() {
+        try {
+            await chrome.runtime.sendMessage({ action: 'retryOutbox' });
+        } catch (error) {
+            console.error('Error retrying outbox:', error);
+        }
+        await this.renderOutboxStatus();
+    }
+
+    // "2 waiting to sync, 1 failed" next to the item count; hidden when the outbox is empty
+    async renderOutboxStatus() {
+        const element = document.getElementById('outboxStatus');
+        const { backendOutbox } = await import('./config/backend-outbox.js');
+        const { pending, failed } = await backendOutbox.getCounts();
+
+        const parts = [];
+        if (pending > 0) parts.push(`${pending} waiting to sync`);
+        if (failed > 0) parts.push(`${failed} failed`);
+        element.textContent = parts.join(', ');
+        element.title = failed > 0 ? 'Some changes were not saved to your account. Click to retry.' : 'Saved locally, will sync when the backend is reachable';
+        element.classList.toggle('outbox-failed', failed > 0);
+        element.classList.toggle('hidden', parts.length === 0);
     }
 
     async debugTokenStatus() {
@@ -1358,6 +1486,231 @@ class TrackHubPopup {
         }
     }
 
+    async openSettings() {
+        this.showSection('settingsSection');
+        await this.renderStatusNotificationSettings();
+        await this.renderLearnedRules();
+        await this.renderSiteRules();
+        await this.prefillSiteRuleDomain();
+        await this.renderTrustedSenders();
+    }
+
+    // One checkbox per status event, saved as soon as it changes
+    async renderStatusNotificationSettings() {
+        const container = document.getElementById('statusNotificationSettings');
+        try {
+            const { statusNotifier, STATUS_EVENTS } = await import('./config/status-notifications.js');
+            const settings = await statusNotifier.getSettings();
+
+            container.innerHTML = '';
+            Object.entries(STATUS_EVENTS).forEach(([event, { label }]) => {
+                const row = document.createElement('div');
+                row.className = 'setting-item';
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = settings[event];
+                checkbox.addEventListener('change', async () => {
+                    settings[event] = checkbox.checked;
+                    await statusNotifier.saveSettings(settings);
+                });
+                const labelElement = document.createElement('label');
+                labelElement.append(checkbox, ` ${label}`);
+                row.appendChild(labelElement);
+                container.appendChild(row);
+            });
+        } catch (error) {
+            console.error('Error rendering status notification settings:', error);
+        }
+    }
+
+    // Learned carrier rules (from edits to an item's carrier)
+    async renderLearnedRules() {
+        const container = document.getElementById('learnedRules');
+        try {
+            const { carrierCorrections } = await import('./config/carrier-corrections.js');
+            const rules = await carrierCorrections.listRules();
+
+            if (rules.length === 0) {
+                container.innerHTML = '<p class="setting-hint">No learned rules yet. Changing an item\'s carrier teaches TrackHub.</p>';
+                return;
+            }
+
+            container.innerHTML = '';
+            rules.forEach(rule => {
+                const row = document.createElement('div');
+                row.className = 'learned-rule';
+
+                const text = document.createElement('span');
+                const domain = rule.domain === '*' ? 'any site' : rule.domain;
+                text.textContent = `${rule.signature} on ${domain} → ${this.stateManager.getCarrierLabel(rule.carrier)} (${rule.count}×)`;
+
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'btn btn-secondary btn-small';
+                removeBtn.textContent = 'Remove';
+                removeBtn.addEventListener('click', async () => {
+                    await carrierCorrections.removeRule(rule.key);
+                    await this.renderLearnedRules();
+                });
+
+                row.appendChild(text);
+                row.appendChild(removeBtn);
+                container.appendChild(row);
+            });
+        } catch (error) {
+            console.error('Error loading learned rules:', error);
+            container.textContent = 'Failed to load learned rules';
+        }
+    }
+
+    async resetLearnedRules() {
+        try {
+            const { carrierCorrections } = await import('./config/carrier-corrections.js');
+            await carrierCorrections.reset();
+            await this.renderLearnedRules();
+            this.showMessage('Learned carrier rules cleared', 'success');
+        } catch (error) {
+            console.error('Error resetting learned rules:', error);
+            this.showMessage('Failed to reset learned rules', 'error');
+        }
+    }
+
+    // Per-site detection rules; built-in ones can be overridden but not removed
+    async renderSiteRules() {
+        const container = document.getElementById('siteRules');
+        try {
+            const { siteRules } = await import('./config/site-rules.js');
+            const rules = await siteRules.listRules();
+
+            container.innerHTML = '';
+            rules.forEach(rule => {
+                const row = document.createElement('div');
+                row.className = 'learned-rule';
+
+                const text = document.createElement('span');
+                const parts = [rule.detect ? (rule.highlight ? 'detect' : 'detect, no highlight') : 'off'];
+                if (rule.selector) parts.push(`in ${rule.selector}`);
+                if (rule.pattern) parts.push(`/${rule.pattern}/`);
+                text.textContent = `${rule.domain}: ${parts.join(', ')}${rule.builtIn ? ' (built-in)' : ''}`;
+
+                const editBtn = document.createElement('button');
+                editBtn.className = 'btn btn-secondary btn-small';
+                editBtn.textContent = 'Edit';
+                editBtn.addEventListener('click', () => this.fillSiteRuleForm(rule));
+
+                row.appendChild(text);
+                row.appendChild(editBtn);
+
+                if (!rule.builtIn) {
+                    const removeBtn = document.createElement('button');
+                    removeBtn.className = 'btn btn-secondary btn-small';
+                    removeBtn.textContent = 'Remove';
+                    removeBtn.addEventListener('click', async () => {
+                        await siteRules.removeRule(rule.domain);
+                        await this.renderSiteRules();
+                    });
+                    row.appendChild(removeBtn);
+                }
+
+                container.appendChild(row);
+            });
+        } catch (error) {
+            console.error('Error loading site rules:', error);
+            container.textContent = 'Failed to load site rules';
+        }
+    }
+
+    fillSiteRuleForm(rule) {
+        document.getElementById('siteRuleDomain').value = rule.domain || '';
+        document.getElementById('siteRuleDetect').checked = rule.detect !== false;
+        document.getElementById('siteRuleHighlight').checked = rule.highlight !== false;
+        document.getElementById('siteRuleSelector').value = rule.selector || '';
+        document.getElementById('siteRulePattern').value = rule.pattern || '';
+    }
+
+    // Starts the form on the site the user is looking at, with its current rule
+    async prefillSiteRuleDomain() {
+        try {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            if (!tab || !tab.url || !/^https?:/.test(tab.url)) return;
+
+            const { siteRules } = await import('./config/site-rules.js');
+            const domain = siteRules.normalizeDomain(tab.url);
+            const rule = await siteRules.getRuleFor(domain);
+            this.fillSiteRuleForm({ ...rule, domain: rule.domain || domain });
+        } catch (error) {
+            console.error('Error reading active tab for site rules:', error);
+        }
+    }
+
+    async saveSiteRule() {
+        try {
+            const { siteRules } = await import('./config/site-rules.js');
+            const saved = await siteRules.saveRule(document.getElementById('siteRuleDomain').value, {
+                detect: document.getElementById('siteRuleDetect').checked,
+                highlight: document.getElementById('siteRuleHighlight').checked,
+                selector: document.getElementById('siteRuleSelector').value,
+                pattern: document.getElementById('siteRulePattern').value
+            });
+            await this.renderSiteRules();
+            this.showMessage(`Site rule saved for ${saved.domain}`, 'success');
+        } catch (error) {
+            console.error('Error saving site rule:', error);
+            this.showMessage(error.message || 'Failed to save site rule', 'error');
+        }
+    }
+
+    // Sender domains whose shipping emails are imported without the banner
+    async renderTrustedSenders() {
+        const container = document.getElementById('trustedSenders');
+        try {
+            const { trustedSenders } = await import('./config/trusted-senders.js');
+            const domains = await trustedSenders.list();
+
+            if (domains.length === 0) {
+                container.innerHTML = '<p class="setting-hint">No trusted senders yet. Choose "Always import" on an email banner to add one.</p>';
+                return;
+            }
+
+            container.innerHTML = '';
+            domains.forEach(domain => {
+                const row = document.createElement('div');
+                row.className = 'learned-rule';
+
+                const text = document.createElement('span');
+                text.textContent = domain;
+
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'btn btn-secondary btn-small';
+                removeBtn.textContent = 'Remove';
+                removeBtn.addEventListener('click', async () => {
+                    await trustedSenders.remove(domain);
+                    await this.renderTrustedSenders();
+                });
+
+                row.appendChild(text);
+                row.appendChild(removeBtn);
+                container.appendChild(row);
+            });
+        } catch (error) {
+            console.error('Error loading trusted senders:', error);
+            container.textContent = 'Failed to load trusted senders';
+        }
+    }
+
+    async addTrustedSender() {
+        const input = document.getElementById('trustedSenderDomain');
+        try {
+            const { trustedSenders } = await import('./config/trusted-senders.js');
+            const domain = await trustedSenders.add(input.value);
+            input.value = '';
+            await this.renderTrustedSenders();
+            this.showMessage(`Emails from ${domain} will be imported automatically`, 'success');
+        } catch (error) {
+            console.error('Error adding trusted sender:', error);
+            this.showMessage(error.message || 'Failed to add trusted sender', 'error');
+        }
+    }
+
     // Debug Modal Methods
     openDebugModal() {
         const modal = document.getElementById('apiDebugModal');
@@ -1379,7 +1732,19 @@ class TrackHubPopup {
             const apiDebugger = new APIDebugger();
             
             const results = await apiDebugger.runAllTests();
-            const formattedResults = apiDebugger.formatResults(results);
+            let formattedResults = apiDebugger.formatResults(results);
+
+            // Score breakdown for whatever is in the tracking number field
+            const trackingNumber = document.getElementById('trackingNumber').value.trim();
+            if (trackingNumber) {
+                const suggestion = await this.stateManager.suggestCarrier(trackingNumber);
+                formattedResults += '\n' + this.stateManager.formatScoreReport(trackingNumber, suggestion);
+            }
+
+            const scanReport = await this.getPageScanReport();
+            if (scanReport) {
+                formattedResults += '\n' + scanReport;
+            }
             
             resultsDiv.textContent = formattedResults;
             
@@ -1392,6 +1757,29 @@ class TrackHubPopup {
         }
     }
 
+    // Content-script scan cost on the active tab, if TrackHub scanned it
+    async getPageScanReport() {
+        try {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            if (!tab || !tab.id) return null;
+
+            const response = await chrome.tabs.sendMessage(tab.id, { action: 'getScanMetrics' });
+            if (!response || !response.success || !response.data.last) return null;
+
+            const { last, totals } = response.data;
+            return [
+                `Page scan (${response.data.url})`,
+                `  Last scan: ${last.busyMs}ms busy over ${last.durationMs}ms in ${last.chunks} chunks${last.fullPage ? ' (full page)' : ''}`,
+                `  Text nodes: ${last.textNodes}, skipped regions: ${last.skippedRegions}`,
+                `  Tokens: ${last.tokens}, matches: ${last.matches}`,
+                `  All scans: ${totals.scans} scans, ${totals.busyMs}ms busy, ${totals.matches} matches`
+            ].join('\n');
+        } catch (error) {
+            // No content script on this tab (chrome:// pages, or detection is off)
+            return null;
+        }
+    }
+
     async copyDebugResults() {
         try {
             if (this.lastDebugResults) {